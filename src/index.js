@@ -4,80 +4,804 @@
  * Import necessary Node.js modules and libraries
  */
 import ora from "ora"; // Library for console spinner
-import nodeHtmlToImage from "node-html-to-image"; // Library for converting HTML to image
 import yargs from "yargs"; // Command-line argument parsing library
 import { hideBin } from "yargs/helpers"; // Helper for hiding the script name in command-line arguments
 import { promises as fs } from "fs"; // Import the fs module's promise functions for file operations
-import buildHtml from "./lib/template.js";
-import { getOutputImageName } from "./lib/utils.js";
-import { isValidMarkdownFile } from "./lib/file.js";
-/**
- * Generate an image from a markdown file.
- */
-(async () => {
-  // Parse command-line arguments and provide usage information
-  const { argv } = yargs(hideBin(process.argv))
-    .command("$0 [markdown]", "Generate image from a markdown file.", (yarg) => {
-      yarg
-        .positional("markdown", {
-          describe: "Path to a Markdown file.",
-        })
-        .option("type", {
-          alias: "t",
-          type: "string",
-          default: "png",
-          description: "Image type to generate (jpeg or png).",
-        });
-    })
-    .help();
-
-  // Initialize a spinner for visual feedback
-  const spinner = ora("Image generation started...").start();
+import path from "path"; // Import the 'path' module for working with file paths
+import buildHtml, { THEMES, getDocumentData, toRealSize } from "./lib/template.js";
+import { mapWithConcurrency } from "./lib/utils.js";
+import { STDIN_PATH, isValidInputFile, resolveInputFiles } from "./lib/file.js";
+import { generatePdf, PAGE_SIZES } from "./lib/pdf.js";
+import { generateImage, launchBrowser } from "./lib/browser.js";
+import { DOCUMENT_STATUSES, DOCUMENT_TYPE_NAMES } from "./lib/document.js";
+import formatTotalsTable, {
+  formatLedgerEntries, formatLedgerStats, formatLedgerTable, formatRevisionDiff,
+} from "./lib/report.js";
+import { diffDocuments } from "./lib/revision.js";
+import startPreviewServer from "./lib/server.js";
+import { INPUT_FORMATS } from "./lib/input.js";
+import { EXPORT_FORMATS, formatExport } from "./lib/export.js";
+import { checkOverwrite, getNameValues, getOutputPaths } from "./lib/output.js";
+import {
+  STATS_GROUPS, findEntries, getEntries, getLedgerStats, openLedger, readLedger,
+} from "./lib/ledger.js";
+
+/**
+ * Adds the options shared by every command that reads a Markdown file.
+ *
+ * @param {Object} yarg - The yargs instance of the command.
+ * @returns {Object} The yargs instance with the options added.
+ */
+const addDocumentOptions = (yarg) => yarg
+  .option("doc-type", {
+    alias: "d",
+    type: "string",
+    choices: DOCUMENT_TYPE_NAMES,
+    description: "Document type to generate. Overrides the 'docType' front matter key.",
+  })
+  .option("strict", {
+    type: "boolean",
+    default: false,
+    description: "Treat warnings, such as unknown front matter keys or table columns, as errors.",
+  })
+  .option("input-format", {
+    type: "string",
+    choices: INPUT_FORMATS,
+    description: "Format of the input documents. Detected from the file extension by default, and md for stdin.",
+  })
+  .option("profile", {
+    alias: "p",
+    type: "string",
+    description: "Sender profile from the config file. Overrides the 'profile' front matter key and the default profile.",
+  });
+
+/**
+ * Adds the options of the commands that fill in the HTML template.
+ *
+ * @param {Object} yarg - The yargs instance of the command.
+ * @returns {Object} The yargs instance with the options added.
+ */
+const addTemplateOptions = (yarg) => yarg
+  .option("template", {
+    type: "string",
+    description: "Path to a custom template directory with an index.html and optional index.css.",
+  })
+  .option("theme", {
+    type: "string",
+    choices: THEMES,
+    description: "Built-in theme to apply. Overrides the 'theme' front matter key.",
+  })
+  .option("offline", {
+    type: "boolean",
+    default: false,
+    description: "Fail if the document still loads a remote resource, such as a web font or hosted image.",
+  });
+
+/**
+ * Adds the options of the live preview server.
+ *
+ * @param {Object} yarg - The yargs instance of the command.
+ * @returns {Object} The yargs instance with the options added.
+ */
+const addPreviewOptions = (yarg) => yarg
+  .option("port", {
+    type: "number",
+    default: 3000,
+    description: "Port of the live preview server.",
+  })
+  .option("host", {
+    type: "string",
+    default: "localhost",
+    description: "Host name of the live preview server.",
+  });
+
+/**
+ * Adds the option that points to the ledger of generated documents.
+ *
+ * @param {Object} yarg - The yargs instance of the command.
+ * @returns {Object} The yargs instance with the options added.
+ */
+const addLedgerOptions = (yarg) => yarg
+  .option("ledger", {
+    type: "string",
+    description: "Path to the ledger file. Defaults to .estimate-ledger.json next to the config file, or in the current directory.",
+  });
+
+/**
+ * Checks that an input path is "-" for stdin, or exists and points to a Markdown, YAML or JSON file.
+ *
+ * @param {string} markdown - The path to the input file.
+ * @throws {Error} If the path is not a valid input file.
+ */
+const checkInputFile = (markdown) => {
+  if (!isValidInputFile(markdown)) {
+    throw new Error(`Please provide a valid markdown, YAML or JSON file path, or '-' for stdin${markdown ? ` ('${markdown}')` : ""}.`);
+  }
+};
+
+/**
+ * Reads the earlier version of a document given with --revision-of, to render a revision.
+ *
+ * @param {Object} argv - The parsed command-line arguments.
+ * @throws {Error} If the earlier version can't be read or calculated.
+ * @returns {Object} The replacement data and front matter of the earlier version, or undefined without --revision-of.
+ */
+const readPreviousVersion = (argv) => {
+  if (argv.revisionOf === undefined) {
+    return undefined;
+  }
+
+  // Check the file, then calculate it the same way as the new version
+  checkInputFile(argv.revisionOf);
+  const { data, frontMatter } = getDocumentData(argv.revisionOf, { docType: argv.docType, profile: argv.profile });
+
+  return { data, frontMatter };
+};
+
+/**
+ * Serve a live preview of a markdown file.
+ *
+ * The preview re-renders and reloads whenever the file, its template or its CSS changes.
+ * Problems are printed here and shown on the page, and the server keeps running until it is
+ * stopped with Ctrl+C.
+ *
+ * @param {Object} argv - The parsed command-line arguments.
+ * @returns {Promise<void>} Resolves once the server is listening.
+ */
+const serve = async (argv) => {
+  const {
+    port, host, docType, template, theme, strict, inputFormat, profile, offline,
+  } = argv;
+  const [markdown] = [].concat(argv.markdown ?? []);
 
   try {
-    // Retrieve command-line arguments
-    const { markdown, type } = argv;
+    // Check if the input file exists and can be watched
+    checkInputFile(markdown);
+
+    if (markdown === STDIN_PATH) {
+      throw new Error("The live preview needs a file to watch, not stdin.");
+    }
+
+    // Report each render with its problems
+    const onRender = ({ error, warnings }) => {
+      if (error) {
+        ora().fail(`${markdown}\n${error.message || error}`);
+      } else if (warnings.length > 0) {
+        ora().warn(`${markdown}\n${warnings.join("\n")}`);
+      } else {
+        ora().succeed(`${markdown} rendered`);
+      }
+    };
+
+    await startPreviewServer({
+      markdown,
+      port,
+      host,
+      buildOptions: {
+        docType, template, theme, strict, inputFormat, profile, offline, previous: readPreviousVersion(argv), revision: argv.revision,
+      },
+      onRender,
+    });
+
+    ora().info(`Preview running at http://${host}:${port}/ (press Ctrl+C to stop)`);
+  } catch (error) {
+    ora().fail(`Error: ${error.message || error}`);
+    process.exitCode = 1;
+  }
+};
 
-    // Update spinner text to indicate progress
-    spinner.text = "Retrieving Markdown content...";
+/**
+ * Reserves the output paths of a file, so they are never overwritten by accident.
+ *
+ * @param {Array<string>} outputs - The paths the file is about to write.
+ * @param {Set<string>} claimed - The absolute output paths already used by other files in this run.
+ * @param {boolean} force - Allow overwriting files that existed before this run.
+ * @throws {Error} If another file in this run writes to the same path, or a file exists without --force.
+ */
+const claimOutputs = (outputs, claimed, force) => {
+  // Check that no other file in this run writes to the same paths, even with --force
+  const clash = outputs.find((filePath) => claimed.has(path.resolve(filePath)));
+
+  if (clash) {
+    throw new Error(`Output file '${clash}' is also written by another file. Add a placeholder such as {file} to the --name pattern.`);
+  }
+
+  outputs.forEach((filePath) => claimed.add(path.resolve(filePath)));
+
+  // Check that existing files are only replaced with --force
+  checkOverwrite(outputs, force);
+};
+
+/**
+ * Exports the computed data of one markdown file as JSON or CSV.
+ *
+ * No template is loaded and no browser is started. With `--output -` the data is printed to stdout.
+ *
+ * @param {string} markdown - The path to the Markdown file.
+ * @param {Object} argv - The parsed command-line arguments.
+ * @param {Set<string>} claimed - The absolute output paths already used by other files in this run.
+ * @param {Object} ledger - The ledger that numbers the documents, or null.
+ * @returns {Promise<Object>} The output path, the schema warnings, the replacement data and the front matter of the file.
+ */
+const exportFile = async (markdown, argv, claimed, ledger) => {
+  const {
+    format, docType, strict, inputFormat, profile, output: outputPath, outDir, name, force,
+  } = argv;
+
+  // Check if the Markdown file path exists
+  checkInputFile(markdown);
+
+  // Calculate the document and format its data
+  const { data, frontMatter, warnings } = getDocumentData(markdown, {
+    docType, strict, inputFormat, profile, assignNumber: ledger?.assignNumber,
+  });
+  const content = formatExport(format, data, frontMatter);
+
+  // Print the data so it can be piped into other tools
+  if (outputPath === "-") {
+    process.stdout.write(content);
+    return {
+      output: "stdout", warnings, data, frontMatter,
+    };
+  }
 
-    // Check if the Markdown file path exists
-    if (!isValidMarkdownFile(markdown)) {
-      throw new Error("Please provide a valid markdown file path.");
+  // Get the output path from the --output path or the filename pattern
+  const { output } = getOutputPaths({
+    type: format, output: outputPath, outDir, name, values: getNameValues({ frontMatter, data, markdown }),
+  });
+
+  // Check that the output path is free, then write the data
+  claimOutputs([output], claimed, force);
+  await fs.mkdir(path.dirname(output), { recursive: true });
+  await fs.writeFile(output, content);
+
+  return {
+    output, warnings, data, frontMatter,
+  };
+};
+
+/**
+ * Renders one markdown file to an image or PDF with a shared browser.
+ *
+ * @param {string} markdown - The path to the Markdown file.
+ * @param {Object} argv - The parsed command-line arguments.
+ * @param {Function} getBrowser - Returns a promise of the shared browser instance.
+ * @param {Set<string>} claimed - The absolute output paths already used by other files in this run.
+ * @param {Object} ledger - The ledger that numbers the documents, or null.
+ * @param {Object} previous - The earlier version of the document from --revision-of, if any.
+ * @returns {Promise<Object>} The output path, the schema warnings, the replacement data and the front matter of the file.
+ */
+const renderFile = async (markdown, argv, getBrowser, claimed, ledger, previous) => {
+  const {
+    type, pageSize, margin, docType, template, theme, strict, inputFormat, profile, offline, revision,
+    output: outputPath, outDir, name, html: writeHtml, force,
+  } = argv;
+
+  // Check if the Markdown file path exists
+  checkInputFile(markdown);
+
+  // Generate the HTML content from the provided Markdown file
+  const {
+    html, data, frontMatter, warnings,
+  } = buildHtml(markdown, {
+    docType, template, theme, strict, inputFormat, profile, offline, assignNumber: ledger?.assignNumber, previous, revision,
+  });
+
+  // Get the output paths from the --output path or the filename pattern
+  const { output, htmlOutput } = getOutputPaths({
+    type, output: outputPath, outDir, name, values: getNameValues({ frontMatter, data, markdown }),
+  });
+  const outputs = writeHtml ? [output, htmlOutput] : [output];
+
+  // Check that the output paths are free
+  claimOutputs(outputs, claimed, force);
+
+  await fs.mkdir(path.dirname(output), { recursive: true });
+
+  const browser = await getBrowser();
+
+  if (type === "pdf") {
+    // Print the HTML to a paginated PDF
+    await generatePdf({
+      browser, html, output, pageSize, margin,
+    });
+  } else {
+    // Take a screenshot of the rendered HTML
+    await generateImage({
+      browser, html, output, type,
+    });
+  }
+
+  // Write the generated HTML content at its real size next to the output, once the output
+  // exists, so a failed render leaves no file behind that blocks a retry
+  if (writeHtml) {
+    await fs.writeFile(htmlOutput, toRealSize(html));
+  }
+
+  return {
+    output, warnings, data, frontMatter,
+  };
+};
+
+/**
+ * Generate images or PDFs, or JSON and CSV exports, from markdown files.
+ *
+ * The files are rendered with one shared headless browser, a few at a time. Each file is
+ * reported as it finishes, and a file that fails doesn't stop the others; the exit code is 1
+ * when any file failed.
+ *
+ * @param {Object} argv - The parsed command-line arguments.
+ * @returns {Promise<void>} Resolves once every file has been rendered or has failed.
+ */
+const generate = async (argv) => {
+  const { type, format, concurrency } = argv;
+
+  // Serve a live preview instead of writing files
+  if (argv.watch) {
+    await serve(argv);
+    return;
+  }
+
+  // Expand the directories and glob patterns into Markdown files
+  const files = resolveInputFiles(argv.markdown ?? []);
+
+  // Extension of the output files, and label used in progress and summary messages
+  const extension = format || type;
+  const label = { pdf: "PDF", json: "JSON file", csv: "CSV file" }[extension] || "Image";
+
+  const spinner = ora(`Generating ${files.length} ${label.toLowerCase()}(s) from Markdown...`).start();
+  let ledger = null;
+  let previous;
+
+  try {
+    // Check if any file was given
+    if (files.length === 0) {
+      checkInputFile();
     }
 
     // Check if the provided image type is valid
-    if (!["png", "jpeg"].includes(type)) {
-      throw new Error("Invalid image type. Use 'png' or 'jpeg'.");
+    if (!["png", "jpeg", "pdf"].includes(type)) {
+      throw new Error("Invalid output type. Use 'png', 'jpeg' or 'pdf'.");
     }
 
-    // Generate the HTML content from the provided Markdown file
-    const html = buildHtml(markdown);
+    // Check if an explicit output path is only used for a single file of the same type
+    if (argv.output && files.length > 1) {
+      throw new Error("The --output option only works with a single markdown file. Use --out-dir and --name for several files.");
+    }
 
-    // Get the output image name based on the specified type
-    const output = getOutputImageName(type);
+    // Check if stdout is only used for exports, and other output paths match the output type
+    if (argv.output === "-" && !format) {
+      throw new Error("Printing to stdout with '--output -' only works with --format json or csv.");
+    }
 
-    // Update the spinner text to indicate image generation
-    spinner.text = "Generating image from Markdown...";
+    if (argv.output && argv.output !== "-" && path.extname(argv.output).toLowerCase() !== `.${extension}`) {
+      throw new Error(`Output file '${argv.output}' doesn't match the output type. Use a .${extension} file or change ${format ? "--format" : "--type"}.`);
+    }
 
-    // Write the generated HTML content to the specified output file
-    await fs.writeFile(output.replace(type, "html"), html.replace("transform:scale(4);", "transform:scale(1);"));
+    // Check if a revision is only rendered from a single file
+    if (argv.revisionOf !== undefined && (files.length > 1 || format)) {
+      throw new Error("The --revision-of option only works when rendering a single markdown file.");
+    }
 
-    // Generate the image using nodeHtmlToImage with specified type, HTML content, and output filename
-    await nodeHtmlToImage({
-      type, html, output, quality: 100,
-    });
+    if (argv.revision !== undefined && (!Number.isInteger(argv.revision) || argv.revision < 1)) {
+      throw new Error("Invalid revision number. Use a whole number of 1 or more.");
+    }
 
-    // Indicate the successful image generation
-    spinner.succeed(`Image successfully created! \nOutput Path: [${output}]\nTo open the image, hold Ctrl (or Command on Mac) and click on it.`);
+    // Check if the concurrency is a positive whole number
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error("Invalid concurrency. Use a whole number of 1 or more.");
+    }
+
+    // Open the ledger that numbers and records the documents, unless it's turned off with --no-ledger.
+    // Data exports only read the document, so they never take a number or write the ledger.
+    if (argv.ledger !== false && !format) {
+      ledger = openLedger({ ledger: argv.ledger, numberPattern: argv.numberPattern });
+    }
+
+    // Read the earlier version of the document to mark the changes against
+    previous = readPreviousVersion(argv);
   } catch (error) {
-    // Handle and log any errors
-    const errorMessage = error.message || error;
-    // eslint-disable-next-line no-console
-    spinner.fail(`Error: ${errorMessage}`);
-    process.exit(1);
+    spinner.fail(`Error: ${error.message || error}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  // Launch the shared browser only once a file is ready to render
+  let browserPromise = null;
+  const getBrowser = () => {
+    browserPromise = browserPromise || launchBrowser();
+    return browserPromise;
+  };
+
+  const claimed = new Set();
+  let finished = 0;
+  let failed = 0;
+
+  try {
+    await mapWithConcurrency(files, concurrency, async (markdown) => {
+      try {
+        const result = format
+          ? await exportFile(markdown, argv, claimed, ledger)
+          : await renderFile(markdown, argv, getBrowser, claimed, ledger, previous);
+        const { output, warnings, data } = result;
+        const reference = data.number ? `${markdown} (${data.number})` : markdown;
+
+        // Record the document in the ledger once its output is written
+        ledger?.record(markdown, result);
+
+        // Report the output path, with the schema warnings if there are any
+        if (warnings.length > 0) {
+          spinner.warn(`${reference} → [${output}]\n${warnings.join("\n")}`);
+        } else {
+          spinner.succeed(`${reference} → [${output}]`);
+        }
+      } catch (error) {
+        // Report the error and carry on with the other files, freeing the number it was given
+        ledger?.release(markdown);
+        failed += 1;
+        spinner.fail(`${markdown}\nError: ${error.message || error}`);
+      }
+
+      // Show the progress while other files are still rendering
+      finished += 1;
+      spinner.start(`Generating ${label.toLowerCase()}(s) from Markdown... (${finished}/${files.length})`);
+    });
   } finally {
-    // Stop the spinner
-    spinner.stop();
+    // Always close the shared browser, ignoring a launch that already failed
+    if (browserPromise) {
+      await browserPromise.then((browser) => browser.close(), () => {});
+    }
+  }
+
+  // Print the summary of the whole run
+  if (failed > 0) {
+    spinner.fail(`${files.length - failed} of ${files.length} file(s) generated, ${failed} failed.`);
+    process.exitCode = 1;
+  } else {
+    // Only point to the files when they were written to disk, not printed to stdout
+    const hint = argv.output === "-" ? "" : "\nTo open a file, hold Ctrl (or Command on Mac) and click on its path.";
+    spinner.succeed(`${files.length} ${label.toLowerCase()}(s) successfully created!${hint}`);
+  }
+};
+
+/**
+ * Validate markdown files without rendering them.
+ *
+ * Each file is read, checked against the schema, calculated and rendered into the HTML
+ * template, but no browser is started. The exit code is 1 when any file has errors (or
+ * warnings in strict mode), so the command can run as a pre-commit hook.
+ *
+ * @param {Object} argv - The parsed command-line arguments.
+ */
+const validate = (argv) => {
+  const {
+    markdown, docType, template, theme, strict, inputFormat, profile, offline,
+  } = argv;
+
+  markdown.forEach((file) => {
+    const spinner = ora(`Validating ${file}...`).start();
+
+    try {
+      // Check the file and build its HTML without rendering it
+      checkInputFile(file);
+      const { warnings } = buildHtml(file, {
+        docType, template, theme, strict, inputFormat, profile, offline,
+      });
+
+      // Report the warnings, or a clean result
+      if (warnings.length > 0) {
+        spinner.warn(`${file}\n${warnings.join("\n")}`);
+      } else {
+        spinner.succeed(file);
+      }
+    } catch (error) {
+      // Report the problems and fail the command, but keep checking the other files
+      spinner.fail(`${file}\n${error.message || error}`);
+      process.exitCode = 1;
+    }
+  });
+};
+
+/**
+ * Print the computed totals of a markdown file as a terminal table.
+ *
+ * The totals are calculated without loading the template or starting a browser.
+ *
+ * @param {Object} argv - The parsed command-line arguments.
+ */
+const totals = (argv) => {
+  const {
+    markdown, docType, strict, inputFormat, profile,
+  } = argv;
+
+  try {
+    // Check the file and calculate its totals
+    checkInputFile(markdown);
+    const { data, warnings } = getDocumentData(markdown, {
+      docType, strict, inputFormat, profile,
+    });
+
+    // Show the schema warnings on stderr so the table can be piped
+    if (warnings.length > 0) {
+      process.stderr.write(`Warnings:\n${warnings.join("\n")}\n`);
+    }
+
+    process.stdout.write(`${formatTotalsTable(data)}\n`);
+  } catch (error) {
+    process.stderr.write(`Error: ${error.message || error}\n`);
+    process.exitCode = 1;
+  }
+};
+
+/**
+ * Print the line items and totals that changed between two versions of a document.
+ *
+ * Both versions are calculated the same way as for rendering, without loading the template
+ * or starting a browser.
+ *
+ * @param {Object} argv - The parsed command-line arguments.
+ */
+const diff = (argv) => {
+  const {
+    docType, strict, inputFormat, profile,
+  } = argv;
+
+  try {
+    // Check both files, since only one of them can be read from stdin
+    checkInputFile(argv.old);
+    checkInputFile(argv.new);
+
+    if (argv.old === STDIN_PATH && argv.new === STDIN_PATH) {
+      throw new Error("Only one of the two versions can be read from stdin.");
+    }
+
+    // Calculate both versions
+    const [before, after] = [argv.old, argv.new].map((markdown) => getDocumentData(markdown, {
+      docType, strict, inputFormat, profile,
+    }));
+    const warnings = [...before.warnings, ...after.warnings];
+
+    // Show the schema warnings on stderr so the tables can be piped
+    if (warnings.length > 0) {
+      process.stderr.write(`Warnings:\n${warnings.join("\n")}\n`);
+    }
+
+    process.stdout.write(`${formatRevisionDiff(diffDocuments(before.data, after.data))}\n`);
+  } catch (error) {
+    process.stderr.write(`Error: ${error.message || error}\n`);
+    process.exitCode = 1;
+  }
+};
+
+/**
+ * Print the documents recorded in the ledger, newest first.
+ *
+ * @param {Object} argv - The parsed command-line arguments.
+ */
+const list = (argv) => {
+  const {
+    query, client, status, docType,
+  } = argv;
+
+  try {
+    const { entries } = readLedger({ ledger: argv.ledger });
+
+    process.stdout.write(`${formatLedgerTable(findEntries(entries, {
+      query, client, status, docType,
+    }))}\n`);
+  } catch (error) {
+    process.stderr.write(`Error: ${error.message || error}\n`);
+    process.exitCode = 1;
+  }
+};
+
+/**
+ * Print the details of a document recorded in the ledger.
+ *
+ * @param {Object} argv - The parsed command-line arguments.
+ */
+const show = (argv) => {
+  try {
+    const { entries } = readLedger({ ledger: argv.ledger });
+
+    process.stdout.write(`${formatLedgerEntries(getEntries(entries, argv.number))}\n`);
+  } catch (error) {
+    process.stderr.write(`Error: ${error.message || error}\n`);
+    process.exitCode = 1;
   }
-})();
+};
+
+/**
+ * Print the number of documents and their totals by client, month, status or type.
+ *
+ * @param {Object} argv - The parsed command-line arguments.
+ */
+const stats = (argv) => {
+  const {
+    by, client, status, docType,
+  } = argv;
+
+  try {
+    const { entries } = readLedger({ ledger: argv.ledger });
+    const matches = findEntries(entries, { client, status, docType });
+
+    process.stdout.write(`${formatLedgerStats(getLedgerStats(matches, by), by)}\n`);
+  } catch (error) {
+    process.stderr.write(`Error: ${error.message || error}\n`);
+    process.exitCode = 1;
+  }
+};
+
+/**
+ * Placeholder passed to yargs for the "-" stdin argument, which it would otherwise read as an empty option.
+ */
+const STDIN_PLACEHOLDER = "\u0000stdin";
+
+/**
+ * Turns the stdin placeholder of an argument back into "-".
+ *
+ * @param {string|Array<string>} value - The path, or list of paths, given on the command line.
+ * @returns {string|Array<string>} The same value with "-" for stdin.
+ */
+const restoreStdinPath = (value) => {
+  const paths = [].concat(value).map((filePath) => (filePath === STDIN_PLACEHOLDER ? STDIN_PATH : filePath));
+
+  return Array.isArray(value) ? paths : paths[0];
+};
+
+/**
+ * Parse the command-line arguments and run the selected command.
+ */
+yargs(hideBin(process.argv).map((arg) => (arg === STDIN_PATH ? STDIN_PLACEHOLDER : arg)))
+  .command("$0 [markdown..]", "Generate images or PDFs from markdown files.", (yarg) => addLedgerOptions(addPreviewOptions(addTemplateOptions(addDocumentOptions(yarg
+    .positional("markdown", {
+      describe: "Paths to Markdown, YAML or JSON files, directories (searched for Markdown files) or quoted glob patterns, or - for stdin.",
+      coerce: restoreStdinPath,
+    })
+    .option("type", {
+      alias: "t",
+      type: "string",
+      default: "png",
+      description: "Output type to generate (jpeg, png or pdf).",
+    })
+    .option("page-size", {
+      type: "string",
+      default: "A4",
+      choices: PAGE_SIZES,
+      description: "Page size for PDF output.",
+    })
+    .option("margin", {
+      type: "string",
+      default: "15mm",
+      description: "Page margin for PDF output (any CSS length).",
+    })
+    .option("concurrency", {
+      alias: "c",
+      type: "number",
+      default: 2,
+      description: "Number of files rendered at the same time.",
+    })
+    .option("format", {
+      type: "string",
+      choices: EXPORT_FORMATS,
+      description: "Export the computed data as JSON, or the line items as CSV, instead of rendering. Overrides --type.",
+    })
+    .option("output", {
+      alias: "o",
+      type: "string",
+      description: "Output file path, for a single markdown file, or '-' to print an export. Overrides --out-dir and --name.",
+      coerce: restoreStdinPath,
+    })
+    .option("out-dir", {
+      type: "string",
+      default: ".",
+      description: "Directory the output files are written to.",
+    })
+    .option("name", {
+      type: "string",
+      defaultDescription: "{docTitle}-{file}-{timestamp}, with -Image before {timestamp} for images",
+      description: "Output filename pattern, with front matter values such as {clientCompany}-{number}-{date}.",
+    })
+    .option("html", {
+      type: "boolean",
+      default: true,
+      description: "Write an HTML copy of the document next to the output. Disable with --no-html.",
+    })
+    .option("force", {
+      alias: "f",
+      type: "boolean",
+      default: false,
+      description: "Overwrite existing output files.",
+    })
+    .option("watch", {
+      alias: "w",
+      type: "boolean",
+      default: false,
+      description: "Serve a live preview of the first markdown file instead of generating output.",
+    })
+    .option("number-pattern", {
+      type: "string",
+      description: "Numbering pattern for documents without a number, such as EST-{YYYY}-{seq}. Overrides the config's 'numberPattern'.",
+    })
+    .option("revision-of", {
+      type: "string",
+      description: "Earlier version of the document. Renders a revision that marks the changed line items and the total's change.",
+      coerce: restoreStdinPath,
+    })
+    .option("revision", {
+      type: "number",
+      description: "Revision number shown with --revision-of. Overrides the 'revision' front matter key (default: the earlier revision plus one).",
+    }))))), generate)
+  .command("serve <markdown>", "Serve a live preview of a markdown file that reloads on changes.", (yarg) => addPreviewOptions(addTemplateOptions(addDocumentOptions(yarg
+    .positional("markdown", {
+      describe: "Path to a Markdown, YAML or JSON file.",
+      coerce: restoreStdinPath,
+    })))), serve)
+  .command("validate <markdown..>", "Check markdown files for problems without rendering them.", (yarg) => addTemplateOptions(addDocumentOptions(yarg
+    .positional("markdown", {
+      describe: "Paths to Markdown, YAML or JSON files, or - for stdin.",
+      coerce: restoreStdinPath,
+    }))), validate)
+  .command("totals <markdown>", "Print the computed totals of a markdown file.", (yarg) => addDocumentOptions(yarg
+    .positional("markdown", {
+      describe: "Path to a Markdown, YAML or JSON file, or - for stdin.",
+      coerce: restoreStdinPath,
+    })), totals)
+  .command("diff <old> <new>", "Compare the line items and totals of two versions of a document.", (yarg) => addDocumentOptions(yarg
+    .positional("old", {
+      describe: "Path to the earlier version, or - for stdin.",
+      coerce: restoreStdinPath,
+    })
+    .positional("new", {
+      describe: "Path to the newer version, or - for stdin.",
+      coerce: restoreStdinPath,
+    })), diff)
+  .command("list [query]", "List the documents recorded in the ledger.", (yarg) => addLedgerOptions(yarg
+    .positional("query", {
+      type: "string",
+      describe: "Text to find in the document number, client or title.",
+    })
+    .option("client", {
+      type: "string",
+      description: "Only list the documents of this client.",
+    })
+    .option("status", {
+      type: "string",
+      choices: DOCUMENT_STATUSES,
+      description: "Only list the documents with this status.",
+    })
+    .option("doc-type", {
+      alias: "d",
+      type: "string",
+      choices: DOCUMENT_TYPE_NAMES,
+      description: "Only list the documents of this type.",
+    })), list)
+  .command("show <number>", "Show a document recorded in the ledger.", (yarg) => addLedgerOptions(yarg
+    .positional("number", {
+      type: "string",
+      describe: "The document number.",
+    })), show)
+  .command("stats", "Print document totals by client, month, status or type.", (yarg) => addLedgerOptions(yarg
+    .option("by", {
+      type: "string",
+      choices: STATS_GROUPS,
+      default: "client",
+      description: "How to group the documents.",
+    })
+    .option("client", {
+      type: "string",
+      description: "Only count the documents of this client.",
+    })
+    .option("status", {
+      type: "string",
+      choices: DOCUMENT_STATUSES,
+      description: "Only count the documents with this status.",
+    })
+    .option("doc-type", {
+      alias: "d",
+      type: "string",
+      choices: DOCUMENT_TYPE_NAMES,
+      description: "Only count the documents of this type.",
+    })), stats)
+  .help()
+  .parse();
@@ -0,0 +1,124 @@
+import { cleanPrice } from "./utils.js";
+import { percentOf, roundMoney, toMoney } from "./money.js";
+
+/**
+ * List of supported adjustment types.
+ */
+export const ADJUSTMENT_TYPES = ["percent", "fixed"];
+
+/**
+ * List of supported adjustment signs.
+ */
+export const ADJUSTMENT_SIGNS = ["charge", "discount"];
+
+/**
+ * List of supported amounts a percentage adjustment is calculated on.
+ */
+export const ADJUSTMENT_BASES = ["subtotal", "after-tax"];
+
+/**
+ * Checks if a value is one of a list of choices.
+ *
+ * @param {string} label - The adjustment label, used in the error message.
+ * @param {string} key - The name of the checked field.
+ * @param {string} value - The value to check.
+ * @param {Array<string>} choices - The supported values.
+ * @throws {Error} If the value is not one of the choices.
+ */
+const checkChoice = (label, key, value, choices) => {
+  if (!choices.includes(value)) {
+    throw new Error(`Adjustment '${label}': Invalid ${key} '${value}'. Use one of: ${choices.join(", ")}.`);
+  }
+};
+
+/**
+ * Validates and normalizes one entry of the `adjustments` list.
+ *
+ * @param {Object} adjustment - The adjustment entry from the front matter.
+ * @param {number} index - The position of the entry in the list.
+ * @throws {Error} If the label, value, type, sign or base is missing or invalid.
+ * @returns {Object} The adjustment label, value, type, sign and base.
+ */
+const normalizeAdjustment = (adjustment, index) => {
+  const label = String(adjustment?.label ?? "").trim();
+  const rawValue = String(adjustment?.value ?? "").trim();
+  const value = cleanPrice(rawValue.replace("%", ""));
+
+  // Check if the adjustment has a label for its row
+  if (label === "") {
+    throw new Error(`Adjustment ${index + 1}: Missing label.`);
+  }
+
+  // Check if the value is a non-negative number
+  if (value === null || Number.isNaN(value) || value < 0) {
+    throw new Error(`Adjustment '${label}': Invalid value '${adjustment.value ?? ""}'.`);
+  }
+
+  // A value with a percent sign is a percentage unless a type is given
+  const type = String(adjustment.type || (rawValue.endsWith("%") ? "percent" : "fixed")).toLowerCase();
+  const sign = String(adjustment.sign || "charge").toLowerCase();
+  const base = String(adjustment.base || "subtotal").toLowerCase();
+
+  checkChoice(label, "type", type, ADJUSTMENT_TYPES);
+  checkChoice(label, "sign", sign, ADJUSTMENT_SIGNS);
+  checkChoice(label, "base", base, ADJUSTMENT_BASES);
+
+  return {
+    label, value, type, sign, base,
+  };
+};
+
+/**
+ * Gets the adjustments from the front matter.
+ *
+ * The `otherFee` percentage is still accepted, as a charge labeled "Additional Fees"
+ * applied after the listed adjustments.
+ *
+ * @param {Object} data - The front matter data.
+ * @throws {Error} If an adjustment is invalid.
+ * @returns {Array} The adjustments, in the order they are applied.
+ */
+export const getAdjustments = (data) => {
+  const adjustments = data.adjustments ?? [];
+
+  // Check if the adjustments are a list
+  if (!Array.isArray(adjustments)) {
+    throw new Error("Invalid adjustments. Use a list of adjustments, each with a label and a value.");
+  }
+
+  // Keep the single other fee percentage as a charge on the subtotal
+  const otherFee = cleanPrice(String(data.otherFee ?? "").replace("%", "").trim());
+  const legacy = otherFee > 0 ? [{ label: "Additional Fees", value: otherFee, type: "percent" }] : [];
+
+  return [...adjustments, ...legacy].map(normalizeAdjustment);
+};
+
+/**
+ * Calculates the adjustments in order.
+ *
+ * A percentage adjustment is calculated on the subtotal, or on the running total after tax
+ * and the adjustments before it.
+ *
+ * @param {Array} adjustments - The adjustments from getAdjustments.
+ * @param {bigint} subtotal - The subtotal in minor units.
+ * @param {bigint} afterTax - The total after tax in minor units.
+ * @param {Object} rounding - The rounding options from getRoundingOptions.
+ * @returns {Object} The signed amount of each adjustment and the adjusted total in minor units.
+ */
+export const calculateAdjustments = (adjustments, subtotal, afterTax, rounding) => {
+  let total = afterTax;
+
+  const amounts = adjustments.map((adjustment) => {
+    const base = adjustment.base === "subtotal" ? subtotal : total;
+    const amount = roundMoney(adjustment.type === "percent"
+      ? percentOf(base, adjustment.value)
+      : toMoney(adjustment.value, rounding.digits), rounding);
+    const signed = adjustment.sign === "discount" ? -amount : amount;
+
+    total += signed;
+
+    return signed;
+  });
+
+  return { amounts, total };
+};
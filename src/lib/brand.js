@@ -0,0 +1,171 @@
+/**
+ * Import necessary Node.js modules and libraries
+ */
+import path from "path"; // Import the 'path' module for working with file and directory paths.
+import { fileExists, toDataUri } from "./file.js";
+import { isMap } from "./utils.js";
+
+/**
+ * Keys of the `brand` front matter map.
+ */
+export const BRAND_KEYS = ["logo", "primaryColor", "secondaryColor", "font", "closing"];
+
+/**
+ * Extensions of the logo images that can be inlined.
+ */
+const LOGO_EXTENSIONS = [".png", ".svg", ".jpg", ".jpeg", ".webp"];
+
+/**
+ * Extensions of the font files that can be inlined.
+ */
+const FONT_EXTENSIONS = [".woff2", ".woff", ".ttf", ".otf"];
+
+/**
+ * Font family name given to an inlined font file.
+ */
+const BRAND_FONT_FAMILY = "Brand Font";
+
+/**
+ * Regular expression matching a hex color such as #138dbe or #fff.
+ */
+const HEX_COLOR_REGEX = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Regular expression matching a font family name that is safe to write into CSS.
+ */
+const FONT_NAME_REGEX = /^[\w -]+$/;
+
+/**
+ * Checks if a brand setting holds a file path, which is resolved relative to the file that sets it.
+ *
+ * The logo is always a file. The font is a file when it has a font file extension, and
+ * otherwise the name of an installed font.
+ *
+ * @param {string} key - The brand setting name.
+ * @param {*} value - The brand setting value.
+ * @returns {boolean} True if the value is a file path, otherwise false.
+ */
+export const isBrandFile = (key, value) => typeof value === "string"
+  && (key === "logo" || (key === "font" && FONT_EXTENSIONS.includes(path.extname(value).toLowerCase())));
+
+/**
+ * Converts a hex color to the comma-separated RGB values Bootstrap uses in its `-rgb` variables.
+ *
+ * @param {string} color - The hex color, such as #138dbe or #fff.
+ * @returns {string} The RGB values, such as "19, 141, 190".
+ */
+const toRgb = (color) => {
+  const hex = color.slice(1);
+  const fullHex = hex.length === 3 ? [...hex].map((digit) => digit + digit).join("") : hex;
+
+  return [0, 2, 4].map((start) => parseInt(fullHex.slice(start, start + 2), 16)).join(", ");
+};
+
+/**
+ * Reads a brand file as a data URI, so it renders without a base URL or network access.
+ *
+ * @param {string} key - The brand setting name, used in error messages.
+ * @param {string} value - The file path from the front matter.
+ * @param {Array<string>} extensions - The supported file extensions.
+ * @param {string} baseDir - The directory relative to which the path is resolved.
+ * @throws {Error} If the file has an unsupported extension or doesn't exist.
+ * @returns {string} The data URI of the file.
+ */
+const readBrandFile = (key, value, extensions, baseDir) => {
+  const filePath = path.resolve(baseDir, value);
+
+  // Check if the file type can be inlined
+  if (!extensions.includes(path.extname(filePath).toLowerCase())) {
+    throw new Error(`Invalid brand ${key} '${value}'. Use a ${extensions.join(", ")} file.`);
+  }
+
+  // Check if the file exists
+  if (!fileExists(filePath)) {
+    throw new Error(`Brand ${key} file '${filePath}' does not exist.`);
+  }
+
+  return toDataUri(filePath);
+};
+
+/**
+ * Builds the style element that applies the brand colors and font to the template.
+ *
+ * The colors are exposed as `--brand-primary` and `--brand-secondary`, and also replace the
+ * Bootstrap primary and secondary colors, so the bundled template and themes pick them up.
+ * The font is exposed as `--brand-font` and replaces the body font.
+ *
+ * @param {Object} brand - The brand settings from getBrand.
+ * @returns {string} The style element, or an empty string if no color or font is set.
+ */
+const getBrandStyle = ({
+  primaryColor, secondaryColor, font, fontFile,
+}) => {
+  const rules = [
+    primaryColor && `:root{--brand-primary:${primaryColor};--bs-primary:${primaryColor};--bs-primary-rgb:${toRgb(primaryColor)}}`,
+    primaryColor && ".table-primary{--bs-table-bg:var(--brand-primary);--bs-table-border-color:var(--brand-primary)}",
+    secondaryColor && `:root{--brand-secondary:${secondaryColor};--bs-secondary:${secondaryColor};--bs-secondary-rgb:${toRgb(secondaryColor)}}`,
+    secondaryColor && ".table{--bs-table-striped-bg:var(--brand-secondary)}",
+    fontFile && `@font-face{font-family:"${font}";font-display:block;src:url(${fontFile})}`,
+    font && `:root{--brand-font:"${font}";--bs-font-sans-serif:var(--brand-font),"Zilla Slab",system-ui,sans-serif}`,
+  ].filter(Boolean);
+
+  return rules.length > 0 ? `<style>${rules.join("")}</style>` : "";
+};
+
+/**
+ * Gets the brand settings from the front matter.
+ *
+ * The logo and a font file are inlined as data URIs, with their paths resolved relative to
+ * the document.
+ *
+ * @param {Object} data - The front matter data.
+ * @param {string} baseDir - The directory relative to which the logo and font paths are resolved.
+ * @throws {Error} If a brand setting is unknown or invalid, or a file doesn't exist.
+ * @returns {Object} The logo data URI, the colors, the font family name, the closing line and the
+ *   style element that applies them, each empty when not set.
+ */
+const getBrand = (data, baseDir = process.cwd()) => {
+  const brand = data.brand ?? {};
+
+  // Check if the brand settings are a map of known settings
+  if (!isMap(brand)) {
+    throw new Error("Invalid brand settings. Use a map of brand settings.");
+  }
+
+  const unknownKey = Object.keys(brand).find((key) => !BRAND_KEYS.includes(key));
+  if (unknownKey) {
+    throw new Error(`Unknown brand setting '${unknownKey}'. Use one of: ${BRAND_KEYS.join(", ")}.`);
+  }
+
+  // Check if the colors are hex colors, which also gives Bootstrap their RGB values
+  const [primaryColor, secondaryColor] = ["primaryColor", "secondaryColor"].map((key) => {
+    const color = String(brand[key] ?? "").trim();
+
+    if (color !== "" && !HEX_COLOR_REGEX.test(color)) {
+      throw new Error(`Invalid brand ${key} '${brand[key]}'. Use a hex color such as #138dbe.`);
+    }
+
+    return color.toLowerCase();
+  });
+
+  // Use a font file under its own family name, or the name of an installed font
+  const font = String(brand.font ?? "").trim();
+  const fontFile = isBrandFile("font", font) ? readBrandFile("font", font, FONT_EXTENSIONS, baseDir) : "";
+
+  if (font !== "" && !fontFile && !FONT_NAME_REGEX.test(font)) {
+    throw new Error(`Invalid brand font '${font}'. Use a font name such as Inter, or a ${FONT_EXTENSIONS.join(", ")} file.`);
+  }
+
+  const settings = {
+    logo: brand.logo !== undefined ? readBrandFile("logo", String(brand.logo), LOGO_EXTENSIONS, baseDir) : "",
+    primaryColor,
+    secondaryColor,
+    font: fontFile ? BRAND_FONT_FAMILY : font,
+    fontFile,
+    closing: String(brand.closing ?? "").trim(),
+  };
+
+  return { ...settings, style: getBrandStyle(settings) };
+};
+
+export default getBrand;
@@ -0,0 +1,56 @@
+/**
+ * Import necessary Node.js modules and libraries
+ */
+import puppeteer from "puppeteer"; // Headless Chrome used to render the HTML
+
+/**
+ * Launches a local headless browser that can be shared by several renders.
+ *
+ * @returns {Promise<Object>} The Puppeteer browser instance.
+ */
+export const launchBrowser = () => puppeteer.launch({ headless: "new" });
+
+/**
+ * Opens a page in a browser, loads the HTML into it and runs a render step on it.
+ *
+ * The page is always closed afterwards, so a failed render doesn't leak pages in a shared browser.
+ *
+ * @param {Object} browser - The Puppeteer browser instance.
+ * @param {string} html - The HTML content to load.
+ * @param {Function} render - Receives the loaded page and writes the output.
+ * @returns {Promise<void>} Resolves once the render step has finished.
+ */
+export const renderPage = async (browser, html, render) => {
+  const page = await browser.newPage();
+
+  try {
+    // Load the HTML and wait until external resources such as fonts are loaded
+    await page.setContent(html, { waitUntil: "networkidle0" });
+
+    // Wait for the inlined fonts to be ready, so the text never renders in a fallback font
+    await page.evaluate(() => document.fonts.ready);
+
+    await render(page);
+  } finally {
+    await page.close();
+  }
+};
+
+/**
+ * Generates a PNG or JPEG image of the page body from the given HTML.
+ *
+ * @param {Object} options - The image generation options.
+ * @param {Object} options.browser - The Puppeteer browser instance to render with.
+ * @param {string} options.html - The HTML content to render.
+ * @param {string} options.output - The path where the image should be written.
+ * @param {string} options.type - The image type, "png" or "jpeg".
+ * @returns {Promise<void>} Resolves once the image has been written.
+ */
+export const generateImage = ({
+  browser, html, output, type,
+}) => renderPage(browser, html, async (page) => {
+  const body = await page.$("body");
+
+  // Only JPEG images have a quality setting
+  await body.screenshot({ path: output, type, ...(type === "jpeg" ? { quality: 100 } : {}) });
+});
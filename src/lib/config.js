@@ -0,0 +1,195 @@
+/**
+ * Import necessary Node.js modules and libraries
+ */
+import os from "os"; // Used to find the home directory
+import path from "path"; // Import the 'path' module for working with file and directory paths.
+import yaml from "js-yaml"; // Parse the YAML config and client files
+import { fileExists, readFile } from "./file.js";
+import { isMap } from "./utils.js";
+import { isBrandFile } from "./brand.js";
+
+/**
+ * Names of the config file holding the sender profiles, in order of preference.
+ */
+export const CONFIG_FILE_NAMES = [".estimaterc.yml", ".estimaterc.yaml", ".estimaterc.json"];
+
+/**
+ * Names of the client directory file, used when the config file doesn't set a `clients` path.
+ */
+const CLIENTS_FILE_NAMES = ["clients.yml", "clients.yaml"];
+
+/**
+ * Front matter keys that hold file paths, which are resolved relative to the file that sets them.
+ * The logo and font file of the `brand` settings are resolved the same way.
+ */
+const PATH_KEYS = ["template", "exchangeRates"];
+
+/**
+ * Finds a file in a directory or the nearest of its parents, falling back to the home directory.
+ *
+ * @param {Array<string>} fileNames - The file names to look for, in order of preference.
+ * @param {string} startDir - The directory to start from.
+ * @returns {string|null} The path to the file, or null if there is none.
+ */
+const findFile = (fileNames, startDir) => {
+  let dir = path.resolve(startDir);
+  const dirs = [dir];
+
+  // Walk up to the root of the file system, then try the home directory
+  while (path.dirname(dir) !== dir) {
+    dir = path.dirname(dir);
+    dirs.push(dir);
+  }
+  dirs.push(os.homedir());
+
+  return dirs
+    .flatMap((candidateDir) => fileNames.map((fileName) => path.join(candidateDir, fileName)))
+    .find(fileExists) ?? null;
+};
+
+/**
+ * Reads a YAML or JSON file holding a map of keys.
+ *
+ * @param {string} filePath - The path to the file.
+ * @throws {Error} If the file can't be parsed or isn't a map.
+ * @returns {Object} The parsed map, or an empty map if the file is empty.
+ */
+const readMapFile = (filePath) => {
+  let data;
+
+  try {
+    data = yaml.load(readFile(filePath));
+  } catch (error) {
+    throw new Error(`Invalid file '${filePath}': ${error.message.split("\n")[0]}`);
+  }
+
+  // Check if the file is a map of keys, allowing an empty file
+  if (data !== undefined && data !== null && !isMap(data)) {
+    throw new Error(`Invalid file '${filePath}'. Use a map of keys.`);
+  }
+
+  return data ?? {};
+};
+
+/**
+ * Finds and reads the config file that applies to a directory.
+ *
+ * The config file is looked up from the directory up to the root, then in the home directory.
+ *
+ * @param {string} startDir - The directory to start from, such as the document's directory.
+ * @throws {Error} If the config file can't be parsed.
+ * @returns {Object} The config, or an empty map if there is no config file, and the path to the file, or null.
+ */
+export const findConfig = (startDir) => {
+  const configFile = findFile(CONFIG_FILE_NAMES, startDir);
+
+  return { config: configFile ? readMapFile(configFile) : {}, configFile };
+};
+
+/**
+ * Gets a named record, such as a profile or a client, from a map of records.
+ *
+ * File paths in the record are resolved relative to the file it comes from, so they work
+ * from any document.
+ *
+ * @param {Object} records - The records, keyed by name.
+ * @param {string} name - The name of the record.
+ * @param {string} kind - The kind of record, for error messages.
+ * @param {string} filePath - The file holding the records.
+ * @throws {Error} If there is no record with that name, or it isn't a map of front matter keys.
+ * @returns {Object} The front matter keys of the record.
+ */
+const getRecord = (records, name, kind, filePath) => {
+  // Check if the record exists
+  if (!isMap(records) || !Object.prototype.hasOwnProperty.call(records, name)) {
+    const names = isMap(records) ? Object.keys(records) : [];
+
+    throw new Error(`Unknown ${kind} '${name}' in '${filePath}'.${names.length > 0 ? ` Use one of: ${names.join(", ")}.` : ""}`);
+  }
+
+  // Check if the record is a map of front matter keys
+  if (!isMap(records[name])) {
+    throw new Error(`Invalid ${kind} '${name}' in '${filePath}'. Use a map of front matter keys.`);
+  }
+
+  // Helper function to resolve a path relative to the file holding the records
+  const resolve = (value) => path.resolve(path.dirname(filePath), value);
+
+  return Object.fromEntries(Object.entries(records[name]).map(([key, value]) => {
+    if (key === "brand" && isMap(value)) {
+      return [key, Object.fromEntries(Object.entries(value).map(([brandKey, brandValue]) => [
+        brandKey,
+        isBrandFile(brandKey, brandValue) ? resolve(brandValue) : brandValue,
+      ]))];
+    }
+
+    return [key, PATH_KEYS.includes(key) && typeof value === "string" ? resolve(value) : value];
+  }));
+};
+
+/**
+ * Fills in a document's keys from its sender profile and client record.
+ *
+ * The config file (`.estimaterc.yml`) is the one that applies to the document's directory.
+ * Its `profiles` map holds the sender profiles, chosen with the `profile` option, the `profile`
+ * key or the config's `defaultProfile`. The `client` key names a record of the client directory:
+ * the config's `clients` path, or the nearest `clients.yml`.
+ *
+ * Values merge in order: the profile, then the client record, then the document's own keys.
+ * The `brand` settings merge key by key, so a document can change one of them and keep the others.
+ *
+ * @param {Object} document - The normalized document from readDocument.
+ * @param {Object} options - The config options.
+ * @param {string} options.profile - The sender profile given on the command line, if any.
+ * @throws {Error} If a profile or client can't be found.
+ * @returns {Object} The document with the merged keys, and the config files it used.
+ */
+export const applyConfig = (document, { profile } = {}) => {
+  const { data, baseDir, keyLines } = document;
+  const { config, configFile } = findConfig(baseDir);
+  const profileName = profile ?? data.profile ?? config.defaultProfile;
+
+  // Get the sender profile, if one is selected
+  let profileValues = {};
+  if (profileName !== undefined) {
+    if (!configFile) {
+      throw new Error(`Sender profile '${profileName}' not found: add a ${CONFIG_FILE_NAMES[0]} file to the project or home directory.`);
+    }
+
+    profileValues = getRecord(config.profiles, String(profileName), "profile", configFile);
+  }
+
+  // Get the client record, if the document names one
+  let clientFile = null;
+  let clientValues = {};
+  if (data.client !== undefined) {
+    clientFile = typeof config.clients === "string"
+      ? path.resolve(path.dirname(configFile), config.clients)
+      : findFile(CLIENTS_FILE_NAMES, baseDir);
+
+    if (!clientFile || !fileExists(clientFile)) {
+      throw new Error(`Client '${data.client}' not found: add a ${CLIENTS_FILE_NAMES[0]} file to the project or home directory.`);
+    }
+
+    clientValues = getRecord(readMapFile(clientFile), String(data.client), "client", clientFile);
+  }
+
+  // Point problems with inherited keys to the file they come from
+  const inheritedLines = {
+    ...Object.fromEntries(Object.keys(profileValues).map((key) => [key, { line: null, file: configFile }])),
+    ...Object.fromEntries(Object.keys(clientValues).map((key) => [key, { line: null, file: clientFile }])),
+  };
+
+  // Merge the brand settings key by key when every file that sets them uses a map
+  const brands = [profileValues.brand, clientValues.brand, data.brand].filter((brand) => brand !== undefined);
+  const brand = brands.length > 1 && brands.every(isMap) ? { brand: Object.assign({}, ...brands) } : {};
+
+  return {
+    ...document,
+    data: {
+      ...profileValues, ...clientValues, ...data, ...brand,
+    },
+    keyLines: { ...inheritedLines, ...keyLines },
+    configFiles: [configFile, clientFile].filter(Boolean),
+  };
+};
@@ -0,0 +1,89 @@
+import { formatDate } from "./utils.js";
+
+/**
+ * List of supported document types with their heading, closing text, number prefix and the
+ * status they are recorded with in the ledger.
+ */
+const DOCUMENT_TYPES = {
+  estimate: {
+    title: "Estimate", closing: "Thank you for your business.", prefix: "EST", status: "sent",
+  },
+  quote: {
+    title: "Quote", closing: "Thank you for considering our quote.", prefix: "QUO", status: "sent",
+  },
+  invoice: {
+    title: "Invoice", closing: "Thank you for your business.", prefix: "INV", status: "sent", billing: true,
+  },
+  receipt: {
+    title: "Receipt", closing: "Thank you for your payment.", prefix: "RCT", status: "paid", billing: true, paid: true,
+  },
+};
+
+/**
+ * List of supported document statuses.
+ */
+export const DOCUMENT_STATUSES = ["draft", "sent", "accepted", "declined", "paid", "void"];
+
+/**
+ * Names of all supported document types.
+ */
+export const DOCUMENT_TYPE_NAMES = Object.keys(DOCUMENT_TYPES);
+
+/**
+ * Get the settings for a document type.
+ *
+ * @param {string} docType - The document type name (default: "estimate").
+ * @throws {Error} If the document type is not supported.
+ * @returns {Object} The document type settings, including its name.
+ */
+export const getDocumentType = (docType = "estimate") => {
+  // Convert the document type to lowercase for case-insensitive lookup
+  const name = String(docType).trim().toLowerCase();
+
+  // Check if the document type is supported
+  if (!Object.prototype.hasOwnProperty.call(DOCUMENT_TYPES, name)) {
+    throw new Error(`Invalid document type '${docType}'. Use one of: ${DOCUMENT_TYPE_NAMES.join(", ")}.`);
+  }
+
+  return { name, ...DOCUMENT_TYPES[name] };
+};
+
+/**
+ * Gets the number set in a document: its `number` key or, for invoices and receipts, its
+ * `invoiceNumber` key.
+ *
+ * @param {Object} data - The front matter data.
+ * @param {Object} documentType - The document type settings.
+ * @returns {string} The document number, or an empty string if the document doesn't set one.
+ */
+export const getDocumentNumber = (data, documentType) => {
+  const number = data.number ?? (documentType.billing ? data.invoiceNumber : undefined);
+
+  return number === undefined || number === null ? "" : String(number).trim();
+};
+
+/**
+ * Organize billing-specific data for invoices and receipts.
+ *
+ * @param {Object} data - The front matter data.
+ * @param {Object} documentType - The document type settings.
+ * @param {string} number - The document number, also shown as the invoice number.
+ * @returns {Object} The organized billing information.
+ */
+export const organizeBillingInfo = (data, documentType, number = getDocumentNumber(data, documentType)) => {
+  // Billing fields are only used by invoices and receipts
+  const details = documentType.billing
+    ? {
+      invoiceNumber: number,
+      dueDate: data.dueDate ? formatDate(data.dueDate) : "",
+      paymentTerms: data.paymentTerms || "",
+    }
+    : { invoiceNumber: "", dueDate: "", paymentTerms: "" };
+
+  return {
+    ...details,
+
+    // Receipts get a "PAID" stamp next to the total
+    paid: Boolean(documentType.paid),
+  };
+};
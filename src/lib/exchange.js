@@ -0,0 +1,114 @@
+/**
+ * Import necessary Node.js modules and libraries
+ */
+import path from "path"; // Import the 'path' module for working with file and directory paths.
+import { fileExists, readFile } from "./file.js";
+import { formatDate, getCurrencyOptions, toIsoDate } from "./utils.js";
+
+/**
+ * Reads an exchange-rate table from a local JSON file.
+ *
+ * @param {string} filePath - The path to the JSON file.
+ * @throws {Error} If the file is missing or isn't valid JSON.
+ * @returns {Object} The exchange-rate table.
+ */
+const readRatesFile = (filePath) => {
+  // Check if the rates file exists
+  if (!fileExists(filePath)) {
+    throw new Error(`Exchange rates file '${filePath}' does not exist.`);
+  }
+
+  try {
+    return JSON.parse(readFile(filePath));
+  } catch (error) {
+    throw new Error(`Exchange rates file '${filePath}' is not valid JSON: ${error.message}`);
+  }
+};
+
+/**
+ * Gets the exchange-rate table from the front matter, either inline or from a local JSON file.
+ *
+ * @param {Object|string} exchangeRates - The inline table, or the path to a JSON file.
+ * @param {string} baseDir - The directory relative to which a file path is resolved.
+ * @returns {Object} The exchange-rate table.
+ */
+const getRatesTable = (exchangeRates, baseDir) => (typeof exchangeRates === "string"
+  ? readRatesFile(path.resolve(baseDir, exchangeRates))
+  : exchangeRates);
+
+/**
+ * Gets a rate from an exchange-rate table.
+ *
+ * @param {Object} rates - The rates, keyed by uppercase currency code.
+ * @param {string} base - The currency the rates are quoted against.
+ * @param {string} code - The currency to get the rate for.
+ * @throws {Error} If the table has no valid rate for the currency.
+ * @returns {number} The number of units of the currency for one unit of the base currency.
+ */
+const getRate = (rates, base, code) => {
+  // The base currency is always worth exactly one unit of itself
+  if (code === base) {
+    return 1;
+  }
+
+  const rate = Number(rates[code]);
+
+  // Check if the rate is a positive number
+  if (!Number.isFinite(rate) || rate <= 0) {
+    throw new Error(`Exchange rates have no valid rate for ${code}.`);
+  }
+
+  return rate;
+};
+
+/**
+ * Gets the exchange rates used to show the totals in the display currencies.
+ *
+ * The rates table lists how many units of each currency one unit of its `base` currency
+ * buys, along with the `date` the rates were valid. When the base isn't the document
+ * currency, the rates are crossed through the document currency's own rate.
+ *
+ * @param {Object} data - The front matter data.
+ * @param {Object} currency - The document currency options from getCurrencyOptions.
+ * @param {string} baseDir - The directory relative to which a rates file is resolved (default: the current directory).
+ * @throws {Error} If a display currency has no rate or the rates table is incomplete.
+ * @returns {Array} The display currencies, each with its currency options, rate and date, formatted and as YYYY-MM-DD.
+ */
+const getExchangeRates = (data, currency, baseDir = process.cwd()) => {
+  // Accept a single currency code or a list of codes
+  const displayCurrencies = [data.displayCurrencies || []].flat()
+    .map((code) => String(code).trim().toUpperCase())
+    .filter((code) => code !== currency.code);
+
+  // Nothing to convert
+  if (displayCurrencies.length === 0) {
+    return [];
+  }
+
+  // Check if there are rates to convert with
+  if (!data.exchangeRates) {
+    throw new Error("Display currencies need an 'exchangeRates' table or rates file.");
+  }
+
+  const table = getRatesTable(data.exchangeRates, baseDir);
+  const rates = Object.fromEntries(Object.entries(table.rates || {}).map(([code, rate]) => [code.toUpperCase(), rate]));
+  const base = String(table.base || currency.code).toUpperCase();
+
+  // Check if the date the rates were valid is given
+  if (!table.date) {
+    throw new Error("Exchange rates need the 'date' they were valid.");
+  }
+
+  // Rate of the document currency against the base of the table
+  const documentRate = getRate(rates, base, currency.code);
+
+  return displayCurrencies.map((code) => ({
+    // Display currencies are formatted for the document locale
+    currency: getCurrencyOptions({ currency: code, locale: currency.locale, currencyDisplay: currency.display }),
+    rate: getRate(rates, base, code) / documentRate,
+    date: formatDate(table.date),
+    isoDate: toIsoDate(table.date),
+  }));
+};
+
+export default getExchangeRates;
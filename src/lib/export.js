@@ -0,0 +1,194 @@
+import { currentDate, toIsoDate } from "./utils.js";
+
+/**
+ * List of supported machine-readable export formats.
+ */
+export const EXPORT_FORMATS = ["json", "csv"];
+
+/**
+ * List of columns of the CSV export, one line item per row.
+ */
+const CSV_COLUMNS = [
+  "number",
+  "section",
+  "item",
+  "role",
+  "details",
+  "optional",
+  "hourly",
+  "qty",
+  "qtyHigh",
+  "unit",
+  "price",
+  "priceHigh",
+  "discount",
+  "discountType",
+  "discountAmount",
+  "discountAmountHigh",
+  "taxRate",
+  "taxAmount",
+  "taxAmountHigh",
+  "total",
+  "totalHigh",
+  "currency",
+];
+
+/**
+ * Gets the line items of every section, as plain numbers.
+ *
+ * Prices include the service tax, and totals include the line discount and tax, as in the
+ * rendered table. Each amount has a "High" counterpart, equal to it unless the line is a range.
+ *
+ * @param {Object} data - The replacement data from getReplacementArgs.
+ * @returns {Array} The line items, in document order.
+ */
+const getExportLineItems = (data) => data.sections.flatMap((section) => section.lineItems.map((item) => ({
+  number: item.number,
+  section: section.title || "",
+  item: item.item,
+  role: item.role || "",
+  details: item.details || "",
+  optional: item.optional,
+  hourly: item.isHourly,
+  qty: item.qty,
+  qtyHigh: item.qtyHigh,
+  unit: item.unit || "",
+  price: item.price,
+  priceHigh: item.priceHigh,
+  discount: item.discount,
+  discountType: item.discountIsPercentage ? "percent" : "fixed",
+  discountAmount: item.discountAmt,
+  discountAmountHigh: item.discountAmtHigh,
+  taxRate: item.tax,
+  taxAmount: item.taxAmt,
+  taxAmountHigh: item.taxAmtHigh,
+  total: item.total,
+  totalHigh: item.totalHigh,
+})));
+
+/**
+ * Builds the normalized, machine-readable form of a document.
+ *
+ * Amounts are numbers in the document currency, rounded as in the rendered document, and dates
+ * are written as YYYY-MM-DD.
+ *
+ * @param {Object} data - The replacement data from getReplacementArgs.
+ * @param {Object} frontMatter - The parsed front matter data, for the raw dates.
+ * @returns {Object} The document meta data, client, developer, line items and totals.
+ */
+export const getEstimateExport = (data, frontMatter = {}) => {
+  const { totals } = data;
+
+  return {
+    meta: {
+      docType: data.docType,
+      docTitle: data.docTitle,
+      title: data.title,
+      date: frontMatter.date ? toIsoDate(frontMatter.date) : currentDate("YYYY-MM-DD"),
+      number: data.number,
+      status: data.status,
+      invoiceNumber: data.invoiceNumber,
+      dueDate: data.dueDate ? toIsoDate(frontMatter.dueDate) : "",
+      paymentTerms: data.paymentTerms,
+      currency: data.currency.code,
+      locale: data.currency.locale,
+    },
+    client: {
+      name: data.clientName,
+      company: data.clientCompany,
+      location: data.clientLocation,
+      email: data.clientEmail,
+    },
+    developer: {
+      name: data.devName,
+      email: data.devEmail,
+      skype: data.devSkype,
+      twitter: data.devTwitter,
+      website: data.devWebsite,
+      location: data.devLocation,
+    },
+    lineItems: getExportLineItems(data),
+    totals: {
+      subtotal: totals.subtotal,
+      subtotalHigh: totals.subtotalHigh,
+      discount: totals.discount,
+      discountBeforeTax: totals.discountBeforeTax,
+      taxInclusive: totals.taxInclusive,
+      taxes: totals.taxes.map((tax) => ({
+        name: tax.name,
+        rate: tax.rate,
+        compound: tax.compound,
+        amount: tax.amount,
+        amountHigh: tax.amountHigh,
+      })),
+      taxAmount: totals.taxAmt,
+      taxAmountHigh: totals.taxAmtHigh,
+      adjustments: totals.adjustments.map((adjustment) => ({
+        label: adjustment.label,
+        type: adjustment.type,
+        sign: adjustment.sign,
+        base: adjustment.base,
+        value: adjustment.value,
+        amount: adjustment.amount,
+        amountHigh: adjustment.amountHigh,
+      })),
+      total: totals.total,
+      totalHigh: totals.totalHigh,
+      totalWithOptions: totals.totalWithOptions,
+      totalWithOptionsHigh: totals.totalWithOptionsHigh,
+      conversions: totals.conversions.map((conversion) => ({
+        currency: conversion.code,
+        rate: conversion.rate,
+        date: conversion.isoDate,
+        total: conversion.total,
+        totalHigh: conversion.totalHigh,
+      })),
+    },
+  };
+};
+
+/**
+ * Quotes a CSV field when it contains a separator, a quote or a line break.
+ *
+ * @param {*} value - The field value.
+ * @returns {string} The CSV field.
+ */
+const toCsvField = (value) => {
+  const text = String(value ?? "");
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+};
+
+/**
+ * Formats the line items of a document as CSV, with a header row.
+ *
+ * @param {Object} estimate - The normalized document from getEstimateExport.
+ * @returns {string} The CSV content.
+ */
+const formatCsv = (estimate) => [
+  CSV_COLUMNS,
+  ...estimate.lineItems.map((item) => CSV_COLUMNS.map((column) => (column === "currency" ? estimate.meta.currency : item[column]))),
+].map((row) => row.map(toCsvField).join(",")).join("\r\n");
+
+/**
+ * Formats a document in a machine-readable format.
+ *
+ * @param {string} format - The export format, one of EXPORT_FORMATS.
+ * @param {Object} data - The replacement data from getReplacementArgs.
+ * @param {Object} frontMatter - The parsed front matter data.
+ * @throws {Error} If the format is not supported.
+ * @returns {string} The exported content, ending with a line break.
+ */
+export const formatExport = (format, data, frontMatter) => {
+  const estimate = getEstimateExport(data, frontMatter);
+
+  if (format === "json") {
+    return `${JSON.stringify(estimate, null, 2)}\n`;
+  }
+
+  if (format === "csv") {
+    return `${formatCsv(estimate)}\r\n`;
+  }
+
+  throw new Error(`Invalid export format '${format}'. Use one of: ${EXPORT_FORMATS.join(", ")}.`);
+};
@@ -1,6 +1,7 @@
 import fs from "fs"; // File system module
 import path from "path"; // Import the 'path' module for working with file and directory paths.
 import { fileURLToPath } from "url"; // Import the 'fileURLToPath' function from the 'url' module.
+import glob from "glob"; // Matches file paths against wildcard patterns
 
 /**
  * Get the current filename (full file path).
@@ -30,6 +31,23 @@ export const readFile = (filePath) => fs.readFileSync(filePath, "utf8");
  */
 export const fileExists = (filePath) => fs.existsSync(filePath);
 
+/**
+ * Lists the files with a given extension in a directory.
+ *
+ * @param {string} dirPath - The directory to list.
+ * @param {string} extension - The file extension to match, including the dot (e.g. ".html").
+ * @returns {Array<string>} The full paths of the matching files, or an empty array if the directory doesn't exist.
+ */
+export const listFiles = (dirPath, extension) => {
+  if (!fs.existsSync(dirPath)) {
+    return []; // Directory doesn't exist
+  }
+
+  return fs.readdirSync(dirPath)
+    .filter((fileName) => path.extname(fileName).toLowerCase() === extension)
+    .map((fileName) => path.join(dirPath, fileName));
+};
+
 /**
  * Resolve a path based on the __dirname of the current module.
  *
@@ -39,13 +57,27 @@ export const fileExists = (filePath) => fs.existsSync(filePath);
 export const resolvePath = (...paths) => path.resolve(currentModuleDirectory, ...paths);
 
 /**
- * Check if the given file path is a valid Markdown file.
+ * Path that stands for the standard input instead of a file.
+ */
+export const STDIN_PATH = "-";
+
+/**
+ * List of extensions of the supported input files: Markdown, YAML and JSON documents.
+ */
+export const INPUT_EXTENSIONS = [".md", ".markdown", ".yaml", ".yml", ".json"];
+
+/**
+ * Check if the given file path is a valid input file, or stands for the standard input.
  *
  * @param {string} filePath - The file path to check.
- * @returns {boolean} True if it's a valid Markdown file, false otherwise.
+ * @returns {boolean} True if it's a Markdown, YAML or JSON file, or "-", false otherwise.
  */
-export const isValidMarkdownFile = (filePath) => {
-  if (!fs.existsSync(filePath)) {
+export const isValidInputFile = (filePath) => {
+  if (filePath === STDIN_PATH) {
+    return true; // Read from stdin
+  }
+
+  if (!filePath || !fs.existsSync(filePath)) {
     return false; // File doesn't exist
   }
 
@@ -54,7 +86,149 @@ export const isValidMarkdownFile = (filePath) => {
     return false; // It's not a file
   }
 
-  // Check if the file extension is '.md' (Markdown file)
+  // Check if the file extension is one of the input extensions
   const fileExtension = path.extname(filePath).toLowerCase();
-  return fileExtension === ".md";
+  return INPUT_EXTENSIONS.includes(fileExtension);
+};
+
+/**
+ * Expands file paths, directories and glob patterns into a list of input files.
+ *
+ * Directories are searched recursively for Markdown files only, since the YAML and JSON files
+ * in them are usually config, client, rate or exchange-rate files rather than documents. Glob
+ * patterns are matched against the file system (quote them so the shell doesn't expand them
+ * first), keeping the Markdown, YAML and JSON files. Any other input, such as "-" for stdin, is kept as it is,
+ * so a missing file is reported when it is rendered rather than silently dropped. Duplicate
+ * paths are only listed once.
+ *
+ * @param {Array<string>} inputs - The paths, directories and glob patterns to expand.
+ * @returns {Array<string>} The input file paths, in the order they were given.
+ */
+export const resolveInputFiles = (inputs) => {
+  const files = inputs.flatMap((input) => {
+    const target = String(input);
+
+    // Search directories for Markdown files
+    if (fs.existsSync(target) && fs.statSync(target).isDirectory()) {
+      return glob.sync("**/*.{md,markdown}", { cwd: target, nodir: true, nocase: true })
+        .map((fileName) => path.join(target, fileName));
+    }
+
+    // Match glob patterns, keeping only the input files
+    if (!fs.existsSync(target) && glob.hasMagic(target)) {
+      return glob.sync(target, { nodir: true }).filter((filePath) => INPUT_EXTENSIONS.includes(path.extname(filePath).toLowerCase()));
+    }
+
+    return [target];
+  });
+
+  return [...new Set(files)];
+};
+
+/**
+ * List of MIME types for assets that can be inlined into the HTML template.
+ */
+const ASSET_MIME_TYPES = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".svg": "image/svg+xml",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+  ".ttf": "font/ttf",
+  ".otf": "font/otf",
+};
+
+/**
+ * Converts a local file into a base64 data URI.
+ *
+ * @param {string} filePath - The path to the file to convert.
+ * @throws {Error} If the file type is not supported.
+ * @returns {string} The data URI for the file.
+ */
+export const toDataUri = (filePath) => {
+  // Find the MIME type from the file extension
+  const mimeType = ASSET_MIME_TYPES[path.extname(filePath).toLowerCase()];
+
+  if (!mimeType) {
+    throw new Error(`Unsupported asset type: ${filePath}`);
+  }
+
+  // Read the file as binary and encode it as base64
+  return `data:${mimeType};base64,${fs.readFileSync(filePath).toString("base64")}`;
+};
+
+/**
+ * Checks if a local file can be inlined as a data URI.
+ *
+ * @param {string} filePath - The path to the file.
+ * @returns {boolean} True if the file exists and has a supported asset type, otherwise false.
+ */
+const isInlinableFile = (filePath) => ASSET_MIME_TYPES[path.extname(filePath).toLowerCase()] !== undefined
+  && fileExists(filePath)
+  && fs.statSync(filePath).isFile();
+
+/**
+ * Checks if a reference points to a local file rather than a remote or inline resource.
+ *
+ * @param {string} reference - The URL or path found in the HTML or CSS.
+ * @returns {boolean} True if the reference is a relative or absolute local path, otherwise false.
+ */
+const isLocalReference = (reference) => !/^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(reference);
+
+/**
+ * Patterns of the references a browser loads while rendering: `src` and `srcset` attributes,
+ * stylesheet and icon links, CSS `url()` values and CSS imports.
+ */
+const RESOURCE_REFERENCE_REGEXES = [
+  /\s(?:src|srcset)=["']?([^"'\s>]+)/gi,
+  /<link\b[^>]*?\shref=["']?([^"'\s>]+)/gi,
+  /url\(\s*["']?([^"')\s]+)/gi,
+  /@import\s+["']([^"']+)/gi,
+];
+
+/**
+ * Finds the remote resources, such as web fonts or hosted images, that HTML or CSS content loads.
+ *
+ * Links that are only followed when clicked, such as `<a href>`, aren't resources and are ignored.
+ *
+ * @param {string} content - The HTML or CSS content.
+ * @returns {Array<string>} The remote URLs, each listed once.
+ */
+export const findRemoteResources = (content) => [...new Set(RESOURCE_REFERENCE_REGEXES
+  .flatMap((regex) => [...content.matchAll(regex)].map((match) => match[1]))
+  .filter((reference) => /^(https?:)?\/\//i.test(reference)))];
+
+/**
+ * Inlines local assets referenced from `src` attributes and CSS `url()` values as data URIs.
+ *
+ * @param {string} content - The HTML or CSS content containing the references.
+ * @param {string} baseDir - The directory used to resolve relative references.
+ * @returns {string} The content with every supported local asset replaced by a data URI, and
+ *   other references left as they are.
+ */
+export const inlineLocalAssets = (content, baseDir) => {
+  // Replace a single reference with its data URI, leaving remote and missing files, and files
+  // of other types such as PDFs, untouched
+  const inline = (reference) => {
+    const assetPath = path.resolve(baseDir, reference);
+
+    if (!isLocalReference(reference) || !isInlinableFile(assetPath)) {
+      return null;
+    }
+
+    return toDataUri(assetPath);
+  };
+
+  return content
+    .replace(/(\ssrc=")([^"]+)(")/g, (match, before, reference, after) => {
+      const dataUri = inline(reference);
+      return dataUri ? `${before}${dataUri}${after}` : match;
+    })
+    .replace(/url\((["']?)([^"')]+)\1\)/g, (match, quote, reference) => {
+      const dataUri = inline(reference);
+      return dataUri ? `url(${quote}${dataUri}${quote})` : match;
+    });
 };
@@ -0,0 +1,522 @@
+/**
+ * Import necessary Node.js modules and libraries
+ */
+import fs from "fs"; // File system module, used to read stdin
+import path from "path"; // Import the 'path' module for working with file and directory paths.
+import matter from "gray-matter"; // Parse front matter from Markdown content
+import yaml from "js-yaml"; // Parse YAML documents
+import { marked } from "marked"; // Parse the Markdown tables into tokens
+import { STDIN_PATH, fileExists, readFile } from "./file.js";
+import { isMap, slugifyObjectKeys } from "./utils.js";
+
+/**
+ * List of supported input formats.
+ */
+export const INPUT_FORMATS = ["md", "yaml", "json"];
+
+/**
+ * Input format of each supported file extension.
+ */
+const FORMAT_EXTENSIONS = {
+  ".md": "md",
+  ".markdown": "md",
+  ".yaml": "yaml",
+  ".yml": "yaml",
+  ".json": "json",
+};
+
+/**
+ * Document keys that hold the line items instead of a Markdown table.
+ */
+const LINE_ITEM_KEYS = ["items", "sections", "lineItems"];
+
+/**
+ * Message for a document without line items.
+ */
+const MISSING_LINE_ITEMS_MESSAGE = "Please provide the line items, as an estimate table in the markdown content, an 'items' or 'sections' list, or a 'lineItems' CSV file.";
+
+/**
+ * Gets the input format of a file.
+ *
+ * @param {string} filePath - The path to the input file, or "-" for stdin.
+ * @param {string} format - The format given on the command line, if any.
+ * @throws {Error} If the format is not supported.
+ * @returns {string} The input format, one of INPUT_FORMATS.
+ */
+export const getInputFormat = (filePath, format) => {
+  // Use the given format, then the file extension, and Markdown for stdin
+  const inputFormat = format || FORMAT_EXTENSIONS[path.extname(filePath).toLowerCase()] || "md";
+
+  if (!INPUT_FORMATS.includes(inputFormat)) {
+    throw new Error(`Invalid input format '${inputFormat}'. Use one of: ${INPUT_FORMATS.join(", ")}.`);
+  }
+
+  return inputFormat;
+};
+
+/**
+ * Finds the line and the written value of each top-level key of a YAML block.
+ *
+ * @param {Array<string>} lines - The lines of the file.
+ * @param {number} start - The index of the first line of the block.
+ * @param {number} end - The index after the last line of the block.
+ * @returns {Object} The one-based line number and the raw value text, keyed by key.
+ */
+const getKeyLines = (lines, start, end) => {
+  const keyLines = {};
+
+  lines.slice(start, end).forEach((line, index) => {
+    const match = /^["']?([A-Za-z_][\w-]*)["']?\s*:(.*)$/.exec(line);
+
+    if (match && !(match[1] in keyLines)) {
+      keyLines[match[1]] = { line: start + index + 1, raw: match[2].trim() };
+    }
+  });
+
+  return keyLines;
+};
+
+/**
+ * Finds the line and the written value of each top-level front matter key.
+ *
+ * @param {string} markdownText - The full Markdown file content.
+ * @returns {Object} The one-based line number and the raw value text, keyed by front matter key.
+ */
+const getFrontMatterLines = (markdownText) => {
+  const lines = markdownText.split("\n");
+
+  // The front matter starts on the first line and ends at the next "---" line
+  if (lines[0]?.trim() !== "---") {
+    return {};
+  }
+
+  const end = lines.findIndex((line, index) => index > 0 && line.trim() === "---");
+
+  return getKeyLines(lines, 1, end === -1 ? lines.length : end);
+};
+
+/**
+ * Finds the line of each `items:` key in a YAML document and of each entry in its list.
+ *
+ * @param {string} text - The YAML document.
+ * @returns {Array} For each items list, in document order, the line of its key and the lines of its entries.
+ */
+const getItemLines = (text) => {
+  const tables = [];
+  let current = null;
+
+  text.split("\n").forEach((line, index) => {
+    // Skip blank lines and comments
+    if (/^\s*(#.*)?$/.test(line)) {
+      return;
+    }
+
+    const indent = line.length - line.trimStart().length;
+
+    // Each items list starts at its key
+    if (/^\s*(-\s+)?items\s*:\s*$/.test(line)) {
+      current = { header: index + 1, rows: [], indent: null };
+      tables.push(current);
+      return;
+    }
+
+    if (!current) {
+      return;
+    }
+
+    // The first entry sets the indentation of the list
+    if (current.indent === null && /^\s*-(\s|$)/.test(line)) {
+      current.indent = indent;
+    }
+
+    // Entries start at the list indentation, and the list ends at anything less indented
+    if (current.indent === null || indent < current.indent || (indent === current.indent && !line.trimStart().startsWith("-"))) {
+      current = null;
+    } else if (indent === current.indent) {
+      current.rows.push(index + 1);
+    }
+  });
+
+  return tables;
+};
+
+/**
+ * Parses CSV content into records.
+ *
+ * Fields can be quoted with double quotes, to hold commas, line breaks and doubled quotes.
+ * Empty lines are skipped.
+ *
+ * @param {string} text - The CSV content.
+ * @throws {Error} If a quoted field is not closed.
+ * @returns {Array} The records, each with its one-based starting line and its fields.
+ */
+export const parseCsv = (text) => {
+  const records = [];
+  let fields = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+
+  // Helper functions to finish the current field, and the current record at the end of a line
+  const endField = () => {
+    fields.push(field);
+    field = "";
+  };
+  const endRecord = () => {
+    endField();
+
+    if (fields.some((value) => value.trim() !== "")) {
+      records.push({ line: start, fields });
+    }
+
+    fields = [];
+    start = line;
+  };
+
+  const content = text.replace(/^\uFEFF/, "");
+
+  for (let index = 0; index < content.length; index += 1) {
+    const char = content[index];
+
+    if (quoted && char === "\"" && content[index + 1] === "\"") {
+      // A doubled quote inside a quoted field is a literal quote
+      field += char;
+      index += 1;
+    } else if (char === "\"") {
+      quoted = !quoted;
+    } else if (!quoted && char === ",") {
+      endField();
+    } else if (char === "\n") {
+      line += 1;
+
+      if (quoted) {
+        field += char;
+      } else {
+        endRecord();
+      }
+    } else if (char !== "\r" || quoted) {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unclosed quote in the field starting on line ${start}.`);
+  }
+
+  endRecord();
+
+  return records;
+};
+
+/**
+ * Converts the rows of a table to the normalized form: slugified column names and text values.
+ *
+ * @param {Array<Object>} rows - The table rows.
+ * @returns {Array<Object>} The normalized rows.
+ */
+const normalizeRows = (rows) => rows.map((row) => slugifyObjectKeys(Object.fromEntries(
+  Object.entries(row).map(([key, value]) => [key, value == null ? "" : String(value)]),
+)));
+
+/**
+ * Characters written as named HTML entities in Markdown table cells.
+ */
+const NAMED_ENTITIES = {
+  amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: "\u00a0",
+};
+
+/**
+ * Decodes the HTML entities in text, whether written in the Markdown or added by the lexer.
+ *
+ * @param {string} text - The text with HTML entities.
+ * @returns {string} The text with the characters the entities stand for.
+ */
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity.startsWith("#")) {
+    const code = entity[1].toLowerCase() === "x" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return code <= 0x10ffff ? String.fromCodePoint(code) : match;
+  }
+
+  return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+/**
+ * Gets the plain text of the inline tokens of a table cell, as it reads when rendered.
+ *
+ * Formatting such as bold text and links keeps its text, while HTML tags and images are left out.
+ *
+ * @param {Array<Object>} tokens - The inline tokens of the cell.
+ * @returns {string} The text of the cell.
+ */
+const getInlineText = (tokens = []) => tokens.map((token) => {
+  if (token.type === "html" || token.type === "image") {
+    return "";
+  }
+
+  if (token.type === "br") {
+    return " ";
+  }
+
+  return token.tokens ? getInlineText(token.tokens) : decodeEntities(token.text ?? "");
+}).join("");
+
+/**
+ * Parse the tables from Markdown content.
+ *
+ * Every table becomes a section, titled with the heading that precedes it. The rows, headings
+ * and lines all come from one pass of the Markdown lexer, so rows written without leading or
+ * trailing pipes are read and located too. Tables nested in lists or blockquotes have no lines.
+ *
+ * @param {string} markdownText - The full Markdown file content.
+ * @param {string} content - The Markdown content after the front matter.
+ * @returns {Array} The sections, each with a title, its normalized rows and their lines.
+ */
+const parseMarkdownTables = (markdownText, content) => {
+  // Number of lines taken by the front matter before the content
+  const offset = markdownText.split("\n").length - content.split("\n").length;
+  const text = content.replace(/\r\n?/g, "\n");
+  const tables = [];
+  let title = "";
+  let position = 0;
+
+  marked.lexer(text).forEach((token) => {
+    // Find where the token was written, after the tokens before it
+    const raw = token.raw.trimEnd();
+    const start = raw === "" ? -1 : text.indexOf(raw, position);
+
+    if (start !== -1) {
+      position = start + raw.length;
+    }
+
+    // Keep track of the last heading while walking the tokens in document order
+    marked.walkTokens([token], (child) => {
+      if (child.type === "heading") {
+        title = child.text;
+        return;
+      }
+
+      if (child.type !== "table") {
+        return;
+      }
+
+      // The header is followed by the separator row and then one line per data row
+      const columns = child.header.map((cell) => getInlineText(cell.tokens).trim());
+      const header = child === token && start !== -1 ? offset + text.slice(0, start).split("\n").length : null;
+
+      tables.push({
+        title,
+        rows: normalizeRows(child.rows.map((row) => Object.fromEntries(columns
+          .map((column, index) => [column, getInlineText(row[index]?.tokens).trim()])))),
+        header,
+        lines: header === null ? [] : child.rows.map((row, index) => header + 2 + index),
+      });
+    });
+  });
+
+  return tables;
+};
+
+/**
+ * Reads the line items from a CSV file.
+ *
+ * The first row holds the column names, which are the same as the table columns. Rows with
+ * an optional `section` column are grouped into a section per value, in order of appearance.
+ *
+ * @param {string} csvPath - The path to the CSV file.
+ * @throws {Error} If the file doesn't exist or can't be parsed.
+ * @returns {Array} The sections, each with a title, its normalized rows and their lines in the CSV file.
+ */
+const readCsvTables = (csvPath) => {
+  // Check if the CSV file exists
+  if (!fileExists(csvPath)) {
+    throw new Error(`Line items file '${csvPath}' not found.`);
+  }
+
+  let records;
+  try {
+    records = parseCsv(readFile(csvPath));
+  } catch (error) {
+    throw new Error(`Invalid line items file '${csvPath}': ${error.message}`);
+  }
+
+  const [header, ...data] = records;
+  const tables = [];
+
+  // An empty file has no line items
+  if (!header) {
+    return tables;
+  }
+
+  data.forEach(({ line, fields }) => {
+    const [row] = normalizeRows([Object.fromEntries(header.fields.map((column, index) => [column.trim(), fields[index]]))]);
+    const { section = "", ...columns } = row;
+    const title = section.trim();
+
+    // Add the row to the section with the same title, starting a new section if there is none
+    let table = tables.find((candidate) => candidate.title === title);
+
+    if (!table) {
+      table = {
+        title, rows: [], header: header.line, lines: [], file: csvPath,
+      };
+      tables.push(table);
+    }
+
+    table.rows.push(columns);
+    table.lines.push(line);
+  });
+
+  return tables;
+};
+
+/**
+ * Reads the line items given as `items`, `sections` or `lineItems` document keys.
+ *
+ * @param {Object} data - The document keys.
+ * @param {string} baseDir - The directory relative to which the CSV file path is resolved.
+ * @throws {Error} If the line items are not in the expected form.
+ * @returns {Array|null} The sections with their normalized rows, or null if none of the keys is set.
+ */
+const getKeyedTables = (data, baseDir) => {
+  // Check if the rows of an items list are maps of column names to values
+  const checkItems = (items, label) => {
+    if (!Array.isArray(items) || !items.every(isMap)) {
+      throw new Error(`Invalid ${label}. Use a list of line items, each a map of column names to values.`);
+    }
+
+    return normalizeRows(items);
+  };
+
+  if (data.items !== undefined) {
+    return [{ title: "", rows: checkItems(data.items, "'items'") }];
+  }
+
+  if (data.sections !== undefined) {
+    // Check if the sections are a list, each with an items list
+    if (!Array.isArray(data.sections) || !data.sections.every(isMap)) {
+      throw new Error("Invalid 'sections'. Use a list of sections, each with a title and an items list.");
+    }
+
+    return data.sections.map((section, index) => ({
+      title: String(section.title ?? ""),
+      rows: checkItems(section.items, `items in section ${index + 1}`),
+    }));
+  }
+
+  if (data.lineItems !== undefined) {
+    // Check if the line items are a path to a CSV file
+    if (typeof data.lineItems !== "string" || path.extname(data.lineItems).toLowerCase() !== ".csv") {
+      throw new Error("Invalid 'lineItems'. Use the path to a CSV file, relative to the document.");
+    }
+
+    return readCsvTables(path.join(baseDir, data.lineItems));
+  }
+
+  return null;
+};
+
+/**
+ * Parses a document into the normalized structure shared by every input format.
+ *
+ * A Markdown document has its keys in the front matter, and its line items either in tables
+ * or in one of the `items`, `sections` or `lineItems` keys. A YAML or JSON document is a map
+ * of the same keys. The normalized document holds the keys without the line items, the line
+ * items as tables of rows with slugified column names and text values, and the line of each
+ * key and row where the format allows.
+ *
+ * @param {string} text - The document content.
+ * @param {Object} options - The parsing options.
+ * @param {string} options.format - The input format, one of INPUT_FORMATS (default: "md").
+ * @param {string} options.baseDir - The directory relative to which a CSV file path is resolved.
+ * @throws {Error} If the document can't be parsed, or has more than one source of line items.
+ * @returns {Object} The format, the document keys, the tables and the line of each key.
+ */
+export const parseDocument = (text, { format = "md", baseDir = process.cwd() } = {}) => {
+  let data;
+  let content = "";
+  let keyLines = {};
+
+  if (format === "md") {
+    ({ data, content } = matter(text));
+    keyLines = getFrontMatterLines(text);
+  } else {
+    try {
+      data = format === "json" ? JSON.parse(text) : yaml.load(text);
+    } catch (error) {
+      throw new Error(`Invalid ${format.toUpperCase()} document: ${error.message.split("\n")[0]}`);
+    }
+
+    // Check if the document is a map of keys
+    if (!isMap(data)) {
+      throw new Error(`Invalid ${format.toUpperCase()} document. Use a map of keys, with the line items in 'items', 'sections' or 'lineItems'.`);
+    }
+
+    keyLines = format === "yaml" ? getKeyLines(text.split("\n"), 0, text.split("\n").length) : {};
+  }
+
+  const markdownTables = format === "md" ? parseMarkdownTables(text, content) : [];
+  const sources = LINE_ITEM_KEYS.filter((key) => data[key] !== undefined);
+
+  // Check that the line items come from a single place
+  if (sources.length + (markdownTables.length > 0 ? 1 : 0) > 1) {
+    throw new Error("Please provide the line items in only one place: the markdown tables, 'items', 'sections' or 'lineItems'.");
+  }
+
+  // Read the line items from the document keys, with the lines of YAML list entries
+  let tables = getKeyedTables(data, baseDir) ?? markdownTables;
+
+  if (format === "yaml" && sources.length > 0 && data.lineItems === undefined) {
+    const itemLines = getItemLines(text);
+
+    tables = tables.map((table, index) => ({
+      ...table, header: itemLines[index]?.header ?? null, lines: itemLines[index]?.rows ?? [],
+    }));
+  }
+
+  // Keep the line items out of the document keys, and leave out keys written without a value,
+  // which YAML reads as null, so they fall back to their defaults like missing keys
+  const keys = Object.fromEntries(Object.entries(data)
+    .filter(([key, value]) => !LINE_ITEM_KEYS.includes(key) && value !== null));
+
+  return {
+    format, data: keys, tables, keyLines,
+  };
+};
+
+/**
+ * Gets the tables of a normalized document.
+ *
+ * @param {Object} document - The normalized document from parseDocument.
+ * @throws {Error} If the document has no line items.
+ * @returns {Array} The tables.
+ */
+export const getDocumentTables = (document) => {
+  if (document.tables.length === 0) {
+    throw new Error(MISSING_LINE_ITEMS_MESSAGE);
+  }
+
+  return document.tables;
+};
+
+/**
+ * Reads and parses a document from a file or stdin.
+ *
+ * @param {string} filePath - The path to the document, or "-" to read stdin.
+ * @param {Object} options - The reading options.
+ * @param {string} options.format - The input format, detected from the file extension if not given.
+ * @throws {Error} If the document can't be parsed.
+ * @returns {Object} The normalized document from parseDocument, and the directory its file paths are relative to.
+ */
+export const readDocument = (filePath, { format } = {}) => {
+  const isStdin = filePath === STDIN_PATH;
+
+  // Read stdin in full, or the file
+  const text = isStdin ? fs.readFileSync(0, "utf8") : readFile(filePath);
+  const baseDir = isStdin ? process.cwd() : path.dirname(filePath);
+
+  return {
+    ...parseDocument(text, { format: getInputFormat(filePath, format), baseDir }),
+    baseDir,
+  };
+};
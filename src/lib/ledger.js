@@ -0,0 +1,377 @@
+/**
+ * Import necessary Node.js modules and libraries
+ */
+import fs from "fs"; // File system module, used to write the ledger
+import path from "path"; // Import the 'path' module for working with file and directory paths.
+import { findConfig } from "./config.js";
+import { STDIN_PATH, fileExists, readFile } from "./file.js";
+import { getEstimateExport } from "./export.js";
+import { sumMoney, toMoney, toNumber } from "./money.js";
+import { currentDate, getCurrencyOptions, isMap } from "./utils.js";
+
+/**
+ * Default name of the ledger file, next to the config file or in the current directory.
+ */
+export const LEDGER_FILE_NAME = ".estimate-ledger.json";
+
+/**
+ * Default numbering pattern, such as "EST-2023-1".
+ */
+export const DEFAULT_NUMBER_PATTERN = "{prefix}-{YYYY}-{seq}";
+
+/**
+ * List of the ways ledger totals can be grouped by the stats command.
+ */
+export const STATS_GROUPS = ["client", "month", "status", "type"];
+
+/**
+ * Regular expression matching a `{name}` or `{seq:width}` placeholder in a numbering pattern.
+ */
+const NUMBER_PLACEHOLDER_REGEX = /\{([^{}:]*)(?::(\d+))?\}/g;
+
+/**
+ * Regular expression matching the sequence placeholder of a numbering pattern.
+ */
+const SEQUENCE_REGEX = /\{seq(?::\d+)?\}/g;
+
+/**
+ * Escapes the regular expression special characters of a text.
+ *
+ * @param {string} text - The text to escape.
+ * @returns {string} The text, matching itself in a regular expression.
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Finds the ledger file and the numbering pattern from the options and the config file.
+ *
+ * @param {Object} options - The ledger options.
+ * @param {string} options.ledger - The path to the ledger file, if given on the command line.
+ * @param {string} options.numberPattern - The numbering pattern, if given on the command line.
+ * @returns {Object} The path to the ledger file, and the numbering pattern or patterns by document type.
+ */
+const getLedgerOptions = ({ ledger, numberPattern } = {}) => {
+  const { config, configFile } = findConfig(process.cwd());
+  const configDir = configFile ? path.dirname(configFile) : process.cwd();
+
+  return {
+    filePath: ledger
+      ? path.resolve(ledger)
+      : path.resolve(configDir, typeof config.ledger === "string" ? config.ledger : LEDGER_FILE_NAME),
+    numberPattern: numberPattern ?? config.numberPattern,
+  };
+};
+
+/**
+ * Reads the entries of a ledger file.
+ *
+ * @param {string} filePath - The path to the ledger file.
+ * @throws {Error} If the file isn't a valid ledger.
+ * @returns {Array<Object>} The entries, or an empty list if the file doesn't exist yet.
+ */
+const readEntries = (filePath) => {
+  if (!fileExists(filePath)) {
+    return [];
+  }
+
+  let ledger;
+  try {
+    ledger = JSON.parse(readFile(filePath));
+  } catch (error) {
+    throw new Error(`Invalid ledger file '${filePath}': ${error.message}`);
+  }
+
+  // Check if the ledger holds a list of entries
+  if (!isMap(ledger) || !Array.isArray(ledger.entries) || !ledger.entries.every(isMap)) {
+    throw new Error(`Invalid ledger file '${filePath}'. Expected an object with an 'entries' list.`);
+  }
+
+  return ledger.entries;
+};
+
+/**
+ * Gets the date parts used by a numbering pattern.
+ *
+ * YAML dates and dates written as YYYY-MM-DD are read in UTC, so they keep their day in every
+ * time zone. Other dates, such as "March 5, 2024", are read in local time.
+ *
+ * @param {Date|string} date - The document date.
+ * @throws {Error} If the date can't be parsed.
+ * @returns {Object} The `YYYY`, `YY`, `MM` and `DD` values.
+ */
+const getDateParts = (date) => {
+  const time = new Date(date);
+
+  // Check if the date is valid
+  if (Number.isNaN(time.getTime())) {
+    throw new Error(`Invalid date '${date}' for the document number. Use a date such as 2023-10-28.`);
+  }
+
+  const utc = date instanceof Date || /^\d{4}-\d{2}-\d{2}/.test(String(date).trim());
+  const [year, month, day] = utc
+    ? [time.getUTCFullYear(), time.getUTCMonth() + 1, time.getUTCDate()]
+    : [time.getFullYear(), time.getMonth() + 1, time.getDate()];
+  const YYYY = String(year).padStart(4, "0");
+
+  return {
+    YYYY, YY: YYYY.slice(-2), MM: String(month).padStart(2, "0"), DD: String(day).padStart(2, "0"),
+  };
+};
+
+/**
+ * Fills in the placeholders of a numbering pattern.
+ *
+ * The pattern can use `{prefix}` (the document type prefix, such as "EST"), `{YYYY}`, `{YY}`,
+ * `{MM}` and `{DD}` from the document date, and `{seq}`, optionally padded with zeros as `{seq:4}`.
+ *
+ * @param {string} pattern - The numbering pattern, such as "EST-{YYYY}-{seq}".
+ * @param {Object} values - The prefix and the document date.
+ * @param {number} seq - The sequence number, or undefined to keep the `{seq}` placeholder.
+ * @throws {Error} If the pattern has an unknown placeholder or not exactly one `{seq}`, or the date is invalid.
+ * @returns {string} The document number.
+ */
+const formatNumber = (pattern, { prefix, date }, seq) => {
+  // Check if the pattern has a single sequence number
+  if ((String(pattern).match(SEQUENCE_REGEX) ?? []).length !== 1) {
+    throw new Error(`Invalid number pattern '${pattern}'. Use exactly one {seq} placeholder, such as "EST-{YYYY}-{seq}".`);
+  }
+
+  const values = { prefix, ...getDateParts(date) };
+
+  return String(pattern).replace(NUMBER_PLACEHOLDER_REGEX, (match, key, width) => {
+    if (key === "seq") {
+      return seq === undefined ? match : String(seq).padStart(Number(width ?? 0), "0");
+    }
+
+    // Check if the placeholder is supported
+    if (!Object.prototype.hasOwnProperty.call(values, key)) {
+      throw new Error(`Invalid number pattern '${pattern}': Unknown placeholder '${match}'. Use {prefix}, {YYYY}, {YY}, {MM}, {DD} and {seq}.`);
+    }
+
+    return values[key];
+  });
+};
+
+/**
+ * Gets the next sequence number of a numbering pattern.
+ *
+ * The sequence restarts whenever the rest of the number changes, so a pattern with `{YYYY}`
+ * starts again from 1 every year.
+ *
+ * @param {string} pattern - The pattern with every placeholder but `{seq}` filled in.
+ * @param {Array<string>} numbers - The numbers already in use.
+ * @returns {number} One more than the highest sequence number in use.
+ */
+const getNextSequence = (pattern, numbers) => {
+  const regex = new RegExp(`^${pattern.split(SEQUENCE_REGEX).map(escapeRegExp).join("(\\d+)")}$`);
+  const used = numbers
+    .map((number) => regex.exec(number))
+    .filter(Boolean)
+    .map((match) => parseInt(match[1], 10));
+
+  return Math.max(0, ...used) + 1;
+};
+
+/**
+ * Opens the ledger of generated documents, to number and record the documents of a run.
+ *
+ * A document keeps the number set in its front matter, or the number it got on an earlier run
+ * of the same file. Otherwise it gets the next number of its numbering pattern. Numbers are
+ * reserved as they are assigned, so files rendered at the same time never share one.
+ *
+ * @param {Object} options - The ledger options.
+ * @param {string} options.ledger - The path to the ledger file (default: `.estimate-ledger.json`
+ *   next to the config file, or in the current directory).
+ * @param {string|Object} options.numberPattern - The numbering pattern, or patterns by document type
+ *   (default: the config's `numberPattern`, or DEFAULT_NUMBER_PATTERN).
+ * @throws {Error} If the ledger file isn't valid.
+ * @returns {Object} The functions to assign numbers, record documents and release failed ones.
+ */
+export const openLedger = (options = {}) => {
+  const { filePath, numberPattern } = getLedgerOptions(options);
+  const entries = readEntries(filePath);
+  const reserved = new Map();
+
+  // Identify a document by its absolute path, as stdin has no identity between runs
+  const getSource = (markdown) => (markdown === STDIN_PATH ? null : path.resolve(markdown));
+
+  // Assign a number to a document while its data is being extracted
+  const assignNumber = ({
+    markdown, number, documentType, date,
+  }) => {
+    const source = getSource(markdown);
+    const previous = source && entries.find((entry) => entry.source === source && entry.docType === documentType.name);
+    const pattern = (isMap(numberPattern) ? numberPattern[documentType.name] : numberPattern) ?? DEFAULT_NUMBER_PATTERN;
+
+    // Keep the number set in the document, or given on an earlier run
+    let assigned = number || previous?.number;
+
+    // Otherwise take the next number that isn't used or reserved
+    if (!assigned) {
+      const values = {
+        prefix: documentType.prefix,
+        date: date || currentDate("YYYY-MM-DD"),
+      };
+      const numbers = [...entries.map((entry) => entry.number), ...reserved.values()];
+
+      assigned = formatNumber(pattern, values, getNextSequence(formatNumber(pattern, values), numbers));
+    }
+
+    reserved.set(markdown, assigned);
+    return assigned;
+  };
+
+  // Write the ledger, replacing the file in one step so it is never left half-written
+  const save = () => {
+    const tempPath = `${filePath}.tmp`;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tempPath, `${JSON.stringify({ entries }, null, 2)}\n`);
+    fs.renameSync(tempPath, filePath);
+  };
+
+  // Record a generated document from its computed data, replacing its earlier entry
+  const record = (markdown, { data, frontMatter, output }) => {
+    const { meta, client, totals } = getEstimateExport(data, frontMatter);
+    const index = entries.findIndex((entry) => entry.number === meta.number && entry.docType === meta.docType);
+    const now = new Date().toISOString();
+
+    const entry = {
+      number: meta.number,
+      docType: meta.docType,
+      status: meta.status,
+      date: meta.date,
+      client: client.company || client.name,
+      clientName: client.name,
+      title: meta.title,
+      currency: meta.currency,
+      locale: meta.locale,
+      total: totals.total,
+      totalHigh: totals.totalHigh,
+      source: getSource(markdown),
+      output: output === "stdout" ? null : path.resolve(output),
+      createdAt: index >= 0 ? entries[index].createdAt : now,
+      updatedAt: now,
+    };
+
+    if (index >= 0) {
+      entries[index] = entry;
+    } else {
+      entries.push(entry);
+    }
+
+    reserved.delete(markdown);
+    save();
+  };
+
+  // Free the number of a document that failed, so the next document can use it
+  const release = (markdown) => reserved.delete(markdown);
+
+  return { assignNumber, record, release };
+};
+
+/**
+ * Reads the entries of the ledger.
+ *
+ * @param {Object} options - The ledger options.
+ * @param {string} options.ledger - The path to the ledger file, if given on the command line.
+ * @throws {Error} If the ledger file isn't valid.
+ * @returns {Object} The path to the ledger file and its entries.
+ */
+export const readLedger = (options = {}) => {
+  const { filePath } = getLedgerOptions(options);
+
+  return { filePath, entries: readEntries(filePath) };
+};
+
+/**
+ * Finds the ledger entries that match a search.
+ *
+ * @param {Array<Object>} entries - The ledger entries.
+ * @param {Object} filters - The search filters, all optional.
+ * @param {string} filters.query - Text to find in the number, client or title, ignoring case.
+ * @param {string} filters.client - The client name or company, ignoring case.
+ * @param {string} filters.status - The document status.
+ * @param {string} filters.docType - The document type.
+ * @returns {Array<Object>} The matching entries, newest first.
+ */
+export const findEntries = (entries, {
+  query, client, status, docType,
+} = {}) => {
+  const contains = (value, text) => String(value ?? "").toLowerCase().includes(String(text).toLowerCase());
+
+  return entries
+    .filter((entry) => !query || [entry.number, entry.client, entry.clientName, entry.title].some((value) => contains(value, query)))
+    .filter((entry) => !client || [entry.client, entry.clientName].some((value) => String(value ?? "").toLowerCase() === client.toLowerCase()))
+    .filter((entry) => !status || entry.status === status)
+    .filter((entry) => !docType || entry.docType === docType)
+    .sort((a, b) => String(b.date).localeCompare(String(a.date)) || String(b.number).localeCompare(String(a.number)));
+};
+
+/**
+ * Finds the ledger entries with a document number.
+ *
+ * @param {Array<Object>} entries - The ledger entries.
+ * @param {string} number - The document number, ignoring case.
+ * @throws {Error} If no entry has that number.
+ * @returns {Array<Object>} The entries with that number, one per document type.
+ */
+export const getEntries = (entries, number) => {
+  const matches = entries.filter((entry) => String(entry.number).toLowerCase() === String(number).toLowerCase());
+
+  if (matches.length === 0) {
+    throw new Error(`No document '${number}' in the ledger. Use the list command to find its number.`);
+  }
+
+  return matches;
+};
+
+/**
+ * Adds up the totals of ledger entries by client, month, status or document type.
+ *
+ * Amounts are added exactly, and separately for each currency.
+ *
+ * @param {Array<Object>} entries - The ledger entries.
+ * @param {string} by - How to group the entries, one of STATS_GROUPS.
+ * @throws {Error} If the grouping is not supported.
+ * @returns {Array<Object>} The groups, sorted by name, each with its number of documents and its
+ *   total in each currency.
+ */
+export const getLedgerStats = (entries, by = "client") => {
+  const getGroup = {
+    client: (entry) => entry.client || "(no client)",
+    month: (entry) => String(entry.date ?? "").slice(0, 7) || "(no date)",
+    status: (entry) => entry.status || "(no status)",
+    type: (entry) => entry.docType,
+  }[by];
+
+  // Check if the grouping is supported
+  if (!getGroup) {
+    throw new Error(`Invalid grouping '${by}'. Use one of: ${STATS_GROUPS.join(", ")}.`);
+  }
+
+  const groups = new Map();
+
+  entries.forEach((entry) => {
+    const name = getGroup(entry);
+    const group = groups.get(name) ?? { name, count: 0, totals: new Map() };
+    const currency = getCurrencyOptions({ currency: entry.currency, locale: entry.locale });
+    const total = group.totals.get(currency.code) ?? { currency, amounts: [] };
+
+    total.amounts.push(toMoney(entry.total, currency.digits));
+    group.totals.set(currency.code, total);
+    group.count += 1;
+    groups.set(name, group);
+  });
+
+  return [...groups.values()]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map((group) => ({
+      name: group.name,
+      count: group.count,
+      totals: [...group.totals.values()].map(({ currency, amounts }) => ({
+        currency,
+        total: toNumber(sumMoney(amounts), currency.digits),
+      })),
+    }));
+};
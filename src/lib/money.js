@@ -0,0 +1,250 @@
+/**
+ * Exact money arithmetic on integer minor units.
+ *
+ * Amounts are stored as BigInt values in minor units (e.g. cents) with a few extra
+ * decimal places below the minor unit, so percentages and fractional quantities can be
+ * calculated without floating point errors and rounded only where needed.
+ */
+
+/**
+ * Number of extra decimal places kept below the minor unit while calculating.
+ */
+const EXTRA_DIGITS = 6;
+
+/**
+ * Default number of decimal places of the minor unit (e.g. 2 for cents).
+ */
+const DEFAULT_DIGITS = 2;
+
+/**
+ * List of supported rounding modes.
+ */
+export const ROUNDING_MODES = ["half-up", "half-even", "whole"];
+
+/**
+ * List of supported rounding scopes.
+ */
+export const ROUNDING_SCOPES = ["line", "document"];
+
+/**
+ * Gets a power of ten as a BigInt.
+ *
+ * @param {number} exponent - The exponent.
+ * @returns {bigint} Ten to the power of the exponent.
+ */
+const pow10 = (exponent) => 10n ** BigInt(exponent);
+
+/**
+ * Gets the absolute value of a BigInt.
+ *
+ * @param {bigint} value - The value.
+ * @returns {bigint} The absolute value.
+ */
+const abs = (value) => (value < 0n ? -value : value);
+
+/**
+ * Divides two BigInt values and rounds the result with the given mode.
+ *
+ * @param {bigint} numerator - The numerator.
+ * @param {bigint} denominator - The denominator.
+ * @param {string} mode - "half-up" (ties away from zero) or "half-even" (default: "half-up").
+ * @returns {bigint} The rounded quotient.
+ */
+export const divideRound = (numerator, denominator, mode = "half-up") => {
+  // BigInt division truncates toward zero
+  const quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+
+  if (remainder === 0n) {
+    return quotient;
+  }
+
+  // Compare twice the remainder with the denominator to find out which side of the half it is on
+  const step = (numerator < 0n) !== (denominator < 0n) ? -1n : 1n;
+  const twiceRemainder = 2n * abs(remainder);
+
+  if (twiceRemainder !== abs(denominator)) {
+    return twiceRemainder > abs(denominator) ? quotient + step : quotient;
+  }
+
+  // Exactly half way: round to the even neighbour, or away from zero
+  if (mode === "half-even" && quotient % 2n === 0n) {
+    return quotient;
+  }
+
+  return quotient + step;
+};
+
+/**
+ * Parses a decimal number or string into a BigInt scaled by the given number of decimal places.
+ *
+ * @param {string|number} value - The value to parse, such as 12.5 or "12.50".
+ * @param {number} digits - The number of decimal places to keep.
+ * @throws {Error} If the value is not a decimal number.
+ * @returns {bigint} The scaled value, rounded half-up on the dropped decimal places.
+ */
+const parseDecimal = (value, digits) => {
+  // Numbers are written out in full so values like 1e-7 don't use an exponent
+  const text = typeof value === "number" ? value.toFixed(20) : String(value).trim();
+  const match = /^([+-])?(\d*)(?:\.(\d*))?$/.exec(text);
+
+  if (!match || text === "" || text === ".") {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+
+  const [, sign, whole, fraction = ""] = match;
+
+  // Keep the requested decimal places and round on the first dropped one
+  const kept = fraction.padEnd(digits, "0").slice(0, digits);
+  const roundUp = fraction.length > digits && fraction[digits] >= "5";
+  const scaled = BigInt(whole || "0") * pow10(digits) + BigInt(kept || "0") + (roundUp ? 1n : 0n);
+
+  return sign === "-" ? -scaled : scaled;
+};
+
+/**
+ * Converts a decimal amount in major units (e.g. pounds) to exact minor units.
+ *
+ * @param {string|number} amount - The amount to convert.
+ * @param {number} digits - The number of decimal places of the minor unit (default: 2).
+ * @returns {bigint} The amount in minor units, with extra precision below the minor unit.
+ */
+export const toMoney = (amount, digits = DEFAULT_DIGITS) => parseDecimal(amount ?? 0, digits + EXTRA_DIGITS);
+
+/**
+ * Converts an amount in minor units back to a number in major units.
+ *
+ * @param {bigint} value - The amount in minor units.
+ * @param {number} digits - The number of decimal places of the minor unit (default: 2).
+ * @returns {number} The amount in major units.
+ */
+export const toNumber = (value, digits = DEFAULT_DIGITS) => Number(value) / 10 ** (digits + EXTRA_DIGITS);
+
+/**
+ * Multiplies an amount by a decimal factor, such as a quantity.
+ *
+ * @param {bigint} value - The amount in minor units.
+ * @param {string|number} factor - The decimal factor.
+ * @returns {bigint} The product in minor units.
+ */
+export const multiply = (value, factor) => divideRound(value * parseDecimal(factor, EXTRA_DIGITS), pow10(EXTRA_DIGITS));
+
+/**
+ * Calculates a percentage of an amount.
+ *
+ * @param {bigint} value - The amount in minor units.
+ * @param {string|number} percent - The percentage to calculate.
+ * @returns {bigint} The percentage of the amount in minor units.
+ */
+export const percentOf = (value, percent) => divideRound(value * parseDecimal(percent, EXTRA_DIGITS), 100n * pow10(EXTRA_DIGITS));
+
+/**
+ * Scales an amount by the ratio of two amounts, such as a share of a total.
+ *
+ * @param {bigint} value - The amount in minor units.
+ * @param {bigint} part - The numerator of the ratio.
+ * @param {bigint} whole - The denominator of the ratio.
+ * @returns {bigint} The scaled amount in minor units.
+ */
+export const prorateMoney = (value, part, whole) => divideRound(value * part, whole);
+
+/**
+ * Converts an amount to another currency at an exchange rate.
+ *
+ * @param {bigint} value - The amount in minor units of the source currency.
+ * @param {string|number} rate - The number of target currency units for one source currency unit.
+ * @param {number} fromDigits - The number of decimal places of the source minor unit.
+ * @param {number} toDigits - The number of decimal places of the target minor unit.
+ * @returns {bigint} The converted amount in minor units of the target currency.
+ */
+export const convertMoney = (value, rate, fromDigits, toDigits) => divideRound(
+  value * parseDecimal(rate, EXTRA_DIGITS) * pow10(toDigits),
+  pow10(EXTRA_DIGITS + fromDigits),
+);
+
+/**
+ * Adds up a list of amounts.
+ *
+ * @param {Array<bigint>} values - The amounts in minor units.
+ * @returns {bigint} The sum of the amounts.
+ */
+export const sumMoney = (values) => values.reduce((acc, value) => acc + value, 0n);
+
+/**
+ * Gets the size of the smallest printed step for the rounding options.
+ *
+ * @param {Object} rounding - The rounding options.
+ * @returns {bigint} One minor unit, or one whole unit for the "whole" rounding mode.
+ */
+const getRoundingUnit = (rounding) => pow10(EXTRA_DIGITS + (rounding.mode === "whole" ? rounding.digits : 0));
+
+/**
+ * Rounds an amount to the printed precision using the rounding options.
+ *
+ * @param {bigint} value - The amount in minor units.
+ * @param {Object} rounding - The rounding options.
+ * @returns {bigint} The rounded amount.
+ */
+export const roundMoney = (value, rounding) => {
+  const unit = getRoundingUnit(rounding);
+
+  // Rounding to whole units breaks ties away from zero
+  return divideRound(value, unit, rounding.mode === "whole" ? "half-up" : rounding.mode) * unit;
+};
+
+/**
+ * Rounds a list of amounts so that they add up exactly to a rounded total.
+ *
+ * Each amount is rounded first, then the difference to the total is spread one step at a
+ * time over the amounts that lost the most (or gained the least) while rounding.
+ *
+ * @param {Array<bigint>} values - The unrounded amounts in minor units.
+ * @param {bigint} total - The rounded total the amounts must add up to.
+ * @param {Object} rounding - The rounding options.
+ * @returns {Array<bigint>} The rounded amounts.
+ */
+export const allocateMoney = (values, total, rounding) => {
+  const unit = getRoundingUnit(rounding);
+  const rounded = values.map((value) => roundMoney(value, rounding));
+
+  // Number of rounding steps to add (positive) or take away (negative)
+  const steps = (total - sumMoney(rounded)) / unit;
+  const direction = steps < 0n ? -1n : 1n;
+
+  // Order the amounts by how much rounding moved them away from the direction of the difference
+  const order = values
+    .map((value, index) => ({ index, remainder: (value - rounded[index]) * direction }))
+    .sort((a, b) => (a.remainder === b.remainder ? a.index - b.index : Number(b.remainder - a.remainder)));
+
+  for (let step = 0n; step < abs(steps); step += 1n) {
+    const { index } = order[Number(step) % order.length];
+    rounded[index] += direction * unit;
+  }
+
+  return rounded;
+};
+
+/**
+ * Gets the rounding options from the front matter.
+ *
+ * @param {Object} data - The front matter data.
+ * @param {number} digits - The number of decimal places of the minor unit (default: 2).
+ * @throws {Error} If the rounding mode or scope is not supported.
+ * @returns {Object} The rounding mode, scope and number of decimal places.
+ */
+export const getRoundingOptions = (data, digits = DEFAULT_DIGITS) => {
+  const mode = String(data.rounding || "half-up").toLowerCase();
+  const scope = String(data.roundingScope || "line").toLowerCase();
+
+  // Check if the rounding mode is supported
+  if (!ROUNDING_MODES.includes(mode)) {
+    throw new Error(`Invalid rounding mode '${data.rounding}'. Use one of: ${ROUNDING_MODES.join(", ")}.`);
+  }
+
+  // Check if the rounding scope is supported
+  if (!ROUNDING_SCOPES.includes(scope)) {
+    throw new Error(`Invalid rounding scope '${data.roundingScope}'. Use one of: ${ROUNDING_SCOPES.join(", ")}.`);
+  }
+
+  return { mode, scope, digits };
+};
@@ -0,0 +1,139 @@
+/**
+ * Import necessary Node.js modules and libraries
+ */
+import path from "path"; // Import the 'path' module for working with file and directory paths.
+import { STDIN_PATH, fileExists } from "./file.js";
+import { currentDate, generateSlug, toIsoDate } from "./utils.js";
+
+/**
+ * Output types that are rendered as images.
+ */
+const IMAGE_TYPES = ["png", "jpeg"];
+
+/**
+ * Gets the default output filename pattern, without the extension.
+ *
+ * Images keep the "Image" label in their names, while PDFs and exports are named after the
+ * document only.
+ *
+ * @param {string} type - The output type, such as "png", "pdf" or "json".
+ * @returns {string} The filename pattern.
+ */
+export const getDefaultNamePattern = (type) => (IMAGE_TYPES.includes(type)
+  ? "{docTitle}-{file}-Image-{timestamp}"
+  : "{docTitle}-{file}-{timestamp}");
+
+/**
+ * Regular expression matching a `{name}` placeholder in a filename pattern.
+ */
+const PLACEHOLDER_REGEX = /\{([^{}]*)\}/g;
+
+/**
+ * Formats a front matter value for use in a filename.
+ *
+ * Dates are written as YYYY-MM-DD, and every value is slugified so it is safe on any file system.
+ *
+ * @param {*} value - The value to format.
+ * @returns {string} The filename-safe value, or an empty string if there is no value.
+ */
+const formatNameValue = (value) => generateSlug(toIsoDate(value), false);
+
+/**
+ * Gets the values available to a filename pattern.
+ *
+ * Every scalar front matter key can be used, along with `{docTitle}` (e.g. "Invoice"), `{docType}`,
+ * `{file}` (the document file name, or "stdin"), `{number}` (the document number), `{timestamp}` and `{date}`,
+ * which falls back to the current date.
+ *
+ * @param {Object} options - The values to combine.
+ * @param {Object} options.frontMatter - The parsed front matter data.
+ * @param {Object} options.data - The replacement data from getReplacementArgs.
+ * @param {string} options.markdown - The path to the Markdown file.
+ * @returns {Object} The values, keyed by placeholder name.
+ */
+export const getNameValues = ({ frontMatter = {}, data = {}, markdown = "" }) => ({
+  ...Object.fromEntries(Object.entries(frontMatter).filter(([, value]) => typeof value !== "object" || value instanceof Date)),
+  date: frontMatter.date ?? currentDate("YYYY-MM-DD"),
+  docTitle: data.docTitle ?? "Estimate",
+  docType: data.docType ?? "estimate",
+  file: markdown === STDIN_PATH ? "stdin" : path.basename(markdown, path.extname(markdown)),
+  number: data.number ?? frontMatter.invoiceNumber,
+  timestamp: Date.now(),
+});
+
+/**
+ * Fills in the placeholders of a filename pattern.
+ *
+ * @param {string} pattern - The filename pattern, such as "{clientCompany}-{number}-{date}".
+ * @param {Object} values - The values from getNameValues.
+ * @throws {Error} If a placeholder has no value, or the name is empty.
+ * @returns {string} The filename, without the extension.
+ */
+export const formatFileName = (pattern, values) => {
+  const name = pattern.replace(PLACEHOLDER_REGEX, (match, key) => {
+    const value = formatNameValue(values[key]);
+
+    // Check if the placeholder has a value, so files don't end up with gaps in their names
+    if (value === "") {
+      throw new Error(`Filename pattern '${pattern}': No value for '${match}'. Set it in the front matter or change the pattern.`);
+    }
+
+    return value;
+  }).trim();
+
+  // Check if the pattern produced a usable name
+  if (name === "" || name.includes("/") || name.includes("\\")) {
+    throw new Error(`Invalid filename pattern '${pattern}'. Use a file name without directories, and --out-dir for the directory.`);
+  }
+
+  return name;
+};
+
+/**
+ * Replaces the extension of a file path.
+ *
+ * @param {string} filePath - The file path.
+ * @param {string} extension - The new extension, without the dot.
+ * @returns {string} The file path with the new extension.
+ */
+export const replaceExtension = (filePath, extension) => path.join(
+  path.dirname(filePath),
+  `${path.basename(filePath, path.extname(filePath))}.${extension}`,
+);
+
+/**
+ * Gets the paths of the output file and its HTML sidecar.
+ *
+ * An explicit output path is used as it is. Otherwise the name comes from the filename pattern,
+ * inside the output directory.
+ *
+ * @param {Object} options - The output options.
+ * @param {string} options.type - The output type, and the extension of the output file.
+ * @param {string} options.output - An explicit output path (optional).
+ * @param {string} options.outDir - The output directory (default: the current directory).
+ * @param {string} options.name - The filename pattern (default: getDefaultNamePattern for the type).
+ * @param {Object} options.values - The values from getNameValues.
+ * @returns {Object} The output path and the HTML sidecar path.
+ */
+export const getOutputPaths = ({
+  type, output, outDir = ".", name = getDefaultNamePattern(type), values,
+}) => {
+  const outputPath = output || path.join(outDir, `${formatFileName(name, values)}.${type}`);
+
+  return { output: outputPath, htmlOutput: replaceExtension(outputPath, "html") };
+};
+
+/**
+ * Checks that output files don't exist yet, so they are never overwritten by accident.
+ *
+ * @param {Array<string>} filePaths - The paths that are about to be written.
+ * @param {boolean} force - Allow overwriting existing files.
+ * @throws {Error} If a file exists and overwriting isn't allowed.
+ */
+export const checkOverwrite = (filePaths, force = false) => {
+  const existing = force ? undefined : filePaths.find(fileExists);
+
+  if (existing) {
+    throw new Error(`Output file '${existing}' already exists. Use --force to overwrite it.`);
+  }
+};
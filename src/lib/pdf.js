@@ -0,0 +1,52 @@
+import { launchBrowser, renderPage } from "./browser.js";
+
+/**
+ * List of supported PDF page sizes.
+ */
+export const PAGE_SIZES = ["A4", "Letter", "Legal"];
+
+/**
+ * Normalizes a margin value into the margin object expected by Puppeteer.
+ *
+ * @param {string} margin - A CSS length applied to all sides (e.g. "15mm", "0.5in").
+ * @returns {Object} The margin for each side of the page.
+ */
+const getPageMargins = (margin) => ({
+  top: margin,
+  right: margin,
+  bottom: margin,
+  left: margin,
+});
+
+/**
+ * Generates a PDF file from the given HTML using a local headless browser.
+ *
+ * @param {Object} options - The PDF generation options.
+ * @param {Object} options.browser - A shared Puppeteer browser instance (default: a browser launched for this PDF).
+ * @param {string} options.html - The HTML content to render.
+ * @param {string} options.output - The path where the PDF should be written.
+ * @param {string} options.pageSize - The page size, one of PAGE_SIZES (default: "A4").
+ * @param {string} options.margin - The page margin as a CSS length (default: "15mm").
+ * @returns {Promise<void>} Resolves once the PDF has been written.
+ */
+export const generatePdf = async ({
+  browser, html, output, pageSize = "A4", margin = "15mm",
+}) => {
+  // Launch a local headless browser instance unless a shared one is given
+  const pdfBrowser = browser || await launchBrowser();
+
+  try {
+    // Print the page using the print stylesheet so tables break across pages cleanly
+    await renderPage(pdfBrowser, html, (page) => page.pdf({
+      path: output,
+      format: pageSize,
+      margin: getPageMargins(margin),
+      printBackground: true,
+    }));
+  } finally {
+    // Always close a browser launched for this PDF, even if rendering failed
+    if (!browser) {
+      await pdfBrowser.close();
+    }
+  }
+};
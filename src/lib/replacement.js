@@ -1,84 +1,83 @@
 /**
  * Import necessary Node.js modules and libraries
  */
-import matter from "gray-matter"; // Parse fronPackage for parsing HTML tables to JSON
-import pkg from "html-table-to-json"; // Package for parsing HTML tables to JSON
-import { marked } from "marked"; // Parse Markdown to HTML
+import Handlebars from "handlebars"; // Templating language used to render the HTML template
 import {
   cleanPrice,
   currentDate,
   formatDate,
-  parseDescription,
-  parseNotes,
-  slugifyObjectKeys,
+  getCurrencyOptions,
+  parseLines,
 } from "./utils.js";
 import {
   calculateInvoiceTotals,
+  calculateSectionTotals,
   calculateUnitTotals,
+  getRateCard,
   validateAndFilterColumns,
   validateDataRows,
 } from "./validation.js";
-import { generateTableBody, generateTableFoot } from "./table.js";
-
-// Parse Markdown to HTML
-const { parse: parseTable } = pkg; // Destructure the 'parse' function from the 'pkg' package
+import {
+  getLineItems, getSections, getTableColumns, getTotalRows,
+} from "./table.js";
+import { getDocumentNumber, getDocumentType, organizeBillingInfo } from "./document.js";
+import { getRoundingOptions } from "./money.js";
+import { getTaxOptions } from "./tax.js";
+import { getAdjustments } from "./adjustment.js";
+import getExchangeRates from "./exchange.js";
+import getBrand from "./brand.js";
+import { getDocumentTables } from "./input.js";
 
 /**
- * Replaces placeholders in an HTML string with values from the data object.
+ * Renders a Handlebars HTML template with values from the data object.
+ *
+ * Values are HTML-escaped, as Handlebars does by default. Fields that hold markup, such as the
+ * `*Html` amounts, `bodyStyle`, `brandStyle` and the description and notes lines, are inserted
+ * with triple braces (`{{{totalHtml}}}`) instead. Templates can use `{{#if}}`, `{{#each}}` and
+ * `{{> partial}}` blocks.
  *
- * @param {string} html - The HTML string containing placeholders.
- * @param {Object} data - The data object with key-value pairs to replace placeholders.
- * @returns {string} The HTML string with placeholders replaced by their corresponding values.
+ * @param {string} html - The HTML template containing placeholders.
+ * @param {Object} data - The data object used to render the template.
+ * @param {Object} partials - The partial templates, keyed by name (default: none).
+ * @throws {Error} If the template uses a placeholder or partial that is not defined.
+ * @returns {string} The rendered HTML.
  */
-export const replacePlaceholders = (html, data) => {
-  // Use a regular expression to find all placeholders like {{placeholderName}}
-  const regex = /{{(.*?)}}/g;
-
-  // Use the `replace` method with a callback function to replace placeholders
-  const replacedHtml = html.replace(regex, (match, placeholder) => {
-    // Check if the data object contains the placeholder
-    if (Object.prototype.hasOwnProperty.call(data, placeholder)) {
-      // Replace the placeholder with the corresponding value
-      return data[placeholder];
+export const renderTemplate = (html, data, partials = {}) => {
+  // Compile in strict mode so unknown placeholders fail instead of rendering as empty
+  const template = Handlebars.compile(html, { strict: true });
+
+  try {
+    return template(data, { partials });
+  } catch (error) {
+    // Turn the Handlebars lookup error into a message that points at the placeholder
+    const match = /^"(.+)" not defined in /.exec(error.message);
+
+    if (match) {
+      throw new Error(`Unknown placeholder '{{${match[1]}}}' in template.`);
     }
-    // If a placeholder is not found, leave it as is
-    return match;
-  });
 
-  return replacedHtml;
+    throw error;
+  }
 };
 
 /**
- * Parse and validate the table from Markdown content.
+ * Validate the tables of a normalized document.
  *
- * @param {string} markdown - The Markdown content containing a table.
- * @returns {Array} The parsed and validated table data.
- * @throws {Error} If validation fails.
+ * @param {Object} document - The normalized document from parseDocument.
+ * @param {Object} rates - The rate card used to validate the roles of hourly rows.
+ * @returns {Array} The sections, each with a title and its validated table rows.
+ * @throws {Error} If there are no line items or validation fails.
  */
-const parseAndValidateTable = (markdown) => {
-  // Parse the markdown content into JSON tables using the 'marked' library
-  const jsonTables = parseTable(marked(markdown));
-
-  // Extract the results array from the parsed tables or provide an empty array
-  const tables = jsonTables && jsonTables.results ? jsonTables.results : [];
-
-  // If no tables were found in the markdown content, throw an error
-  if (tables.length === 0) {
-    throw new Error("Please provide an estimate table in the markdown content.");
-  }
-
-  // Select the first table from the results and slugify its object keys
-  const table = tables[0].map(slugifyObjectKeys);
-
+const validateTables = (document, rates) => getDocumentTables(document).map(({ title, rows }) => {
   // Validate and filter the columns in the table
-  const filteredTable = validateAndFilterColumns(table);
+  const filteredTable = validateAndFilterColumns(rows);
 
   // Validate the data rows in the filtered table
-  validateDataRows(filteredTable);
+  validateDataRows(filteredTable, rates);
 
-  // Return the filtered and validated table
-  return filteredTable;
-};
+  // Return the filtered and validated table with its heading
+  return { title, rows: filteredTable };
+});
 
 /**
  * Organize developer information.
@@ -130,65 +129,119 @@ const organizeClientInfo = (data) => ({
  * Organize project-specific data.
  *
  * @param {Object} data - The project data.
+ * @param {Object} documentType - The document type settings.
+ * @param {string} number - The document number.
  * @returns {Object} The organized project information.
  */
-const organizeProjectInfo = (data) => ({
+const organizeProjectInfo = (data, documentType, number) => ({
   // Extract and organize the project title, default to an empty string if missing
   title: data.title || "",
 
-  // Convert the description to paragraphs and default to an empty string if missing
-  description: parseDescription(data.description || ""),
+  // Split the description into paragraphs and default to an empty list if missing
+  description: parseLines(String(data.description || "")),
 
-  // Convert notes to an ordered list and default to an empty string if missing
-  notes: parseNotes(data.notes || ""),
+  // Split the notes into list items and default to an empty list if missing
+  notes: parseLines(String(data.notes || "")),
 
   // Format the date using the formatDate function if 'data.date' exists, or use the current date
   date: data.date ? formatDate(data.date) : currentDate(),
+
+  // Document type name, heading and closing line
+  docType: documentType.name,
+  docTitle: documentType.title,
+  closingText: documentType.closing,
+
+  // Document number and status, as recorded in the ledger
+  number,
+  status: data.status ? String(data.status).toLowerCase() : documentType.status,
+
+  // Invoice number, due date, payment terms and paid stamp for invoices and receipts
+  ...organizeBillingInfo(data, documentType, number),
 });
 
 /**
- * Extracts invoice-related data from the provided data.
+ * Organize the brand settings, such as the logo, colors and closing line.
  *
- * @param {Object} data - The invoice data.
- * @param {string} content - The content with the table.
+ * @param {Object} data - The front matter data.
+ * @param {string} baseDir - The directory relative to which the logo and font paths are resolved.
+ * @returns {Object} The brand settings, the style element that applies them and, when the brand
+ *   sets one, the closing line.
+ */
+const organizeBrandInfo = (data, baseDir) => {
+  const { style, ...brand } = getBrand(data, baseDir);
+
+  return {
+    brand,
+    brandStyle: style,
+
+    // The brand's closing line replaces the one of the document type
+    ...(brand.closing ? { closingText: brand.closing } : {}),
+  };
+};
+
+/**
+ * Extracts invoice-related data from the provided document.
+ *
+ * @param {Object} document - The normalized document from parseDocument.
+ * @param {string} baseDir - The directory relative to which front matter file paths are resolved.
  * @returns {Object} The extracted invoice data.
  */
-const extractInvoiceData = (data, content) => {
+const extractInvoiceData = (document, baseDir) => {
+  const { data } = document;
+
   // Extract and clean various data attributes from the 'data' object
   const serviceTax = cleanPrice(data.serviceTax || 0);
-  const tax = cleanPrice(data.tax || 0);
-  const otherFee = cleanPrice(data.otherFee || 0);
+  const taxOptions = getTaxOptions(data);
+  const adjustments = getAdjustments(data);
   const discount = cleanPrice(data.discount || 0);
-  const currency = data.currency || "usd";
-
-  // Parse and validate the table data from the 'content' with the specified currency
-  const tableData = parseAndValidateTable(content, currency);
-
-  // Calculate unit totals for the table data, considering service tax
-  const tables = calculateUnitTotals(tableData, currency, cleanPrice(serviceTax));
+  const currency = getCurrencyOptions(data);
+  const rounding = getRoundingOptions(data, currency.digits);
+  const conversions = getExchangeRates(data, currency, baseDir);
+  const rates = getRateCard(data);
+
+  // Validate the tables of the document as sections
+  const tableSections = validateTables(document, rates);
+
+  // Calculate unit totals for the rows of all sections together, considering service tax,
+  // so the document rounding scope spreads rounding differences across the whole document
+  const rows = calculateUnitTotals(
+    tableSections.flatMap((section, index) => section.rows.map((row) => ({ ...row, section: index }))),
+    currency,
+    serviceTax,
+    rounding,
+    rates,
+  );
+
+  // Split the calculated rows back into their sections and calculate the section subtotals
+  const sections = calculateSectionTotals(
+    tableSections.map((section, index) => ({ ...section, rows: rows.filter((row) => row.section === index) })),
+    currency,
+    rounding,
+  );
 
   // Return an object containing the processed data
   return {
-    tables,
-    tax,
-    otherFee,
+    sections,
+    tables: rows,
+    rounding,
+    taxOptions,
+    adjustments,
     discount,
     currency,
+    conversions,
   };
 };
 
 /**
  * Organize invoice-specific data.
  *
- * @param {Object} data - The invoice data.
+ * @param {Object} document - The normalized document from parseDocument.
+ * @param {string} baseDir - The directory relative to which front matter file paths are resolved.
  * @returns {Object} The organized invoice information.
  */
-const organizeInvoiceInfo = (data) => {
-  // Extract the 'content' property from 'data'
-  const { content } = data;
-
+const organizeInvoiceInfo = (document, baseDir) => {
   // Extract and organize invoice data using the 'extractInvoiceData' function
-  const invoiceData = extractInvoiceData(data.data, content);
+  const invoiceData = extractInvoiceData(document, baseDir);
 
   // Calculate invoice totals based on the extracted data
   const invoiceTotals = calculateInvoiceTotals(invoiceData);
@@ -197,13 +250,25 @@ const organizeInvoiceInfo = (data) => {
   return {
     // CSS style for the invoice body to format it when rendering
     bodyStyle:
-      "<style>body{margin:0 auto;width:1024px;transform:scale(4);transform-origin:left top;padding:35px}</style>",
+      "<style>body{margin:0 auto;width:1024px;transform:scale(4);transform-origin:left top;padding:35px}@media print{body{width:auto;transform:none;padding:0}}</style>",
+
+    // Line items shown in the table body
+    lineItems: getLineItems(invoiceData.tables),
+
+    // Table sections, each with its heading, line items and subtotal
+    sections: getSections(invoiceData.sections),
+
+    // Optional columns shown in the table and the footer column spans
+    columns: getTableColumns(invoiceData.tables),
+
+    // Labeled rows shown in the table foot above the total
+    totalRows: getTotalRows(invoiceTotals),
 
-    // Generate the HTML table body using 'generateTableBody'
-    tableBody: generateTableBody(invoiceData.tables),
+    // Currency code, locale, display and minor unit digits
+    currency: invoiceData.currency,
 
-    // Generate the HTML table foot (totals) using 'generateTableFoot'
-    tableFoot: generateTableFoot(invoiceTotals),
+    // Calculated totals, as numbers and formatted with the currency
+    totals: invoiceTotals,
 
     // Extract the total HTML from 'invoiceTotals' for the final price
     totalPrice: invoiceTotals.totalHtml,
@@ -211,33 +276,51 @@ const organizeInvoiceInfo = (data) => {
 };
 
 /**
- * Extract and organize data from Markdown content for generating an invoice or content.
+ * Extract and organize data from a document for generating an invoice or content.
  *
- * @param {string} markdown - The Markdown content to extract data from.
+ * The document is read by an input adapter first, so Markdown, YAML and JSON documents, and
+ * line items from tables or CSV files, all arrive here in the same form.
+ *
+ * @param {Object} document - The normalized document from parseDocument.
+ * @param {Object} options - Command-line overrides for the front matter.
+ * @param {string} options.docType - The document type, overriding the `docType` front matter key.
+ * @param {string} options.number - The number assigned from the ledger, used when the document doesn't set one.
+ * @param {string} options.baseDir - The directory relative to which front matter file paths, such as a
+ *   rates file, are resolved (default: the current directory).
  * @returns {Object} An object containing various data for invoice or content generation.
  * @throws {Error} If required data is missing or validation fails.
  */
-export const getReplacementArgs = (markdown) => {
-  // Parse the front matter from the provided Markdown content
-  const parsedData = matter(markdown);
+export const getReplacementArgs = (document, options = {}) => {
+  // The document keys, such as the client and developer details
+  const { data } = document;
+
+  // Resolve the document type from the options or the front matter
+  const documentType = getDocumentType(options.docType || data.docType);
 
   // Organize developer information from the parsed data
-  const devInfo = organizeDeveloperInfo(parsedData.data);
+  const devInfo = organizeDeveloperInfo(data);
 
   // Organize client information from the parsed data
-  const clientInfo = organizeClientInfo(parsedData.data);
+  const clientInfo = organizeClientInfo(data);
+
+  // Use the number set in the document, or the one assigned from the ledger
+  const number = getDocumentNumber(data, documentType) || options.number || "";
 
   // Organize project information from the parsed data
-  const projectInfo = organizeProjectInfo(parsedData.data);
+  const projectInfo = organizeProjectInfo(data, documentType, number);
+
+  // Organize the brand settings, which can replace the closing line of the project information
+  const brandInfo = organizeBrandInfo(data, options.baseDir);
 
   // Organize invoice information based on the parsed data
-  const invoiceArgs = organizeInvoiceInfo(parsedData);
+  const invoiceArgs = organizeInvoiceInfo(document, options.baseDir);
 
   // Combine all organized information into a single object
   const contentArgs = {
     ...devInfo,
     ...clientInfo,
     ...projectInfo,
+    ...brandInfo,
     ...invoiceArgs,
   };
 
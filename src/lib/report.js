@@ -0,0 +1,179 @@
+/**
+ * Import necessary Node.js modules and libraries
+ */
+import { formatPrice, formatPriceRange, getCurrencyOptions } from "./utils.js";
+
+/**
+ * Draws a table with box-drawing characters for the terminal.
+ *
+ * The first column is aligned to the left and the others to the right, unless told otherwise.
+ *
+ * @param {Array} rows - The rows, each a list of cell texts, or null for a separator line.
+ * @param {Array<string>} align - The alignment of each column, "left" or "right" (optional).
+ * @returns {string} The table, one line per row.
+ */
+const drawTable = (rows, align = []) => {
+  // Measure the widest cell of each column
+  const cells = rows.filter(Boolean);
+  const widths = cells[0].map((cell, column) => Math.max(...cells.map((row) => row[column].length)));
+  const isLeft = (column) => (align[column] ?? (column === 0 ? "left" : "right")) === "left";
+
+  // Helper function to draw a horizontal border with the given corner and junction characters
+  const border = (left, middle, right) => `${left}${widths.map((width) => "─".repeat(width + 2)).join(middle)}${right}`;
+
+  return [
+    border("┌", "┬", "┐"),
+    ...rows.map((row) => (row
+      ? `│ ${row.map((cell, column) => (isLeft(column) ? cell.padEnd(widths[column]) : cell.padStart(widths[column]))).join(" │ ")} │`
+      : border("├", "┼", "┤"))),
+    border("└", "┴", "┘"),
+  ].join("\n");
+};
+
+/**
+ * Formats the computed totals of a document as a terminal table.
+ *
+ * The table lists the footer rows (subtotal, taxes, discounts and fees), the total, and
+ * the total with optional items and in each display currency when there are any.
+ *
+ * @param {Object} data - The replacement data from getReplacementArgs.
+ * @returns {string} The document title followed by the totals table.
+ */
+const formatTotalsTable = (data) => {
+  const { totals } = data;
+
+  const rows = [
+    ...data.totalRows,
+    null,
+    { label: "Total", value: totals.totalHtml },
+  ];
+
+  // Add the total with optional items
+  if (totals.hasOptions) {
+    rows.push({ label: "Total with optional items", value: totals.totalWithOptionsHtml });
+  }
+
+  // Add the total in each display currency
+  totals.conversions.forEach((conversion) => {
+    rows.push({ label: `Total in ${conversion.code} (${conversion.rateHtml}, ${conversion.date})`, value: conversion.totalHtml });
+  });
+
+  return [
+    [data.docTitle, data.title].filter(Boolean).join(": "),
+    drawTable(rows.map((row) => row && [row.label, row.value])),
+  ].join("\n");
+};
+
+/**
+ * Formats the total of a ledger entry with its currency, as a range if it has one.
+ *
+ * @param {Object} entry - The ledger entry.
+ * @returns {string} The formatted total.
+ */
+const formatEntryTotal = (entry) => formatPriceRange(
+  entry.total,
+  entry.totalHigh ?? entry.total,
+  getCurrencyOptions({ currency: entry.currency, locale: entry.locale }),
+);
+
+/**
+ * Formats ledger entries as a terminal table, one document per row.
+ *
+ * @param {Array<Object>} entries - The ledger entries.
+ * @returns {string} The table, or a message if there are no entries.
+ */
+export const formatLedgerTable = (entries) => {
+  if (entries.length === 0) {
+    return "No documents found.";
+  }
+
+  return drawTable([
+    ["Number", "Date", "Type", "Client", "Title", "Status", "Total"],
+    null,
+    ...entries.map((entry) => [
+      entry.number, entry.date, entry.docType, entry.client, entry.title, entry.status, formatEntryTotal(entry),
+    ].map((cell) => String(cell ?? ""))),
+  ], ["left", "left", "left", "left", "left", "left", "right"]);
+};
+
+/**
+ * Formats the details of ledger entries as terminal tables, one per document.
+ *
+ * @param {Array<Object>} entries - The ledger entries, such as the documents with one number.
+ * @returns {string} The tables, separated by a blank line.
+ */
+export const formatLedgerEntries = (entries) => entries.map((entry) => drawTable([
+  ["Number", entry.number],
+  ["Type", entry.docType],
+  ["Status", entry.status],
+  ["Date", entry.date],
+  ["Client", entry.client],
+  ["Title", entry.title],
+  ["Total", formatEntryTotal(entry)],
+  ["Source", entry.source ?? "stdin"],
+  ["Output", entry.output ?? "stdout"],
+  ["Created", entry.createdAt],
+  ["Updated", entry.updatedAt],
+].map(([label, value]) => [label, String(value ?? "")]), ["left", "left"])).join("\n\n");
+
+/**
+ * Formats ledger statistics as a terminal table.
+ *
+ * @param {Array<Object>} groups - The groups from getLedgerStats.
+ * @param {string} by - How the entries are grouped, used as the first column heading.
+ * @returns {string} The table, one line per group and currency, or a message if there are no groups.
+ */
+export const formatLedgerStats = (groups, by) => {
+  if (groups.length === 0) {
+    return "No documents found.";
+  }
+
+  return drawTable([
+    [by.charAt(0).toUpperCase() + by.slice(1), "Documents", "Total"],
+    null,
+    ...groups.flatMap((group) => group.totals.map(({ currency, total }, index) => [
+      index === 0 ? group.name : "",
+      index === 0 ? String(group.count) : "",
+      formatPrice(total, currency),
+    ])),
+  ]);
+};
+
+/**
+ * Formats the comparison of two versions of a document as terminal tables.
+ *
+ * The first table lists the line items that were added, removed, re-priced or re-quantified,
+ * and the second compares the totals.
+ *
+ * @param {Object} diff - The comparison from diffDocuments.
+ * @returns {string} The tables, separated by a blank line.
+ */
+export const formatRevisionDiff = (diff) => {
+  const changed = diff.items.filter((item) => item.changes.length > 0);
+
+  // Helper function to describe a line item as its quantity, price and total
+  const describe = (lineItem) => (lineItem ? `${lineItem.qtyHtml} × ${lineItem.priceHtml} = ${lineItem.totalHtml}` : "");
+
+  const itemsTable = changed.length > 0
+    ? drawTable([
+      ["Change", "Item", "Before", "After"],
+      null,
+      ...changed.map((item) => [
+        item.label,
+        [item.section, item.item].filter(Boolean).join(" › "),
+        describe(item.before),
+        describe(item.after),
+      ]),
+    ], ["left", "left", "right", "right"])
+    : "No line items changed.";
+
+  const totalsTable = drawTable([
+    ["", "Before", "After", "Change"],
+    null,
+    ...diff.totals.map((total) => [total.label, total.beforeHtml, total.afterHtml, total.deltaHtml]),
+  ]);
+
+  return [itemsTable, totalsTable].join("\n\n");
+};
+
+export default formatTotalsTable;
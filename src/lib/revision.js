@@ -0,0 +1,238 @@
+/**
+ * Import necessary Node.js modules and libraries
+ */
+import { toMoney, toNumber } from "./money.js";
+import { formatPrice, formatPriceRange } from "./utils.js";
+
+/**
+ * Labels of the line item changes, by the fields that changed.
+ */
+const CHANGE_LABELS = {
+  added: "Added",
+  removed: "Removed",
+  price: "Re-priced",
+  qty: "Re-quantified",
+  "price,qty": "Re-priced and re-quantified",
+  total: "Changed",
+};
+
+/**
+ * Totals compared between two versions, with their labels.
+ */
+const TOTAL_FIELDS = [
+  { key: "subtotal", label: "Subtotal" },
+  { key: "taxAmt", label: "Tax" },
+  { key: "total", label: "Total" },
+  { key: "totalWithOptions", label: "Total with optional items", optional: true },
+];
+
+/**
+ * Lists the line items of a document, each with a key that identifies it across versions.
+ *
+ * Items are matched by section title and item name, ignoring case. Items with the same name
+ * in the same section are told apart by their order.
+ *
+ * @param {Object} data - The replacement data from getReplacementArgs.
+ * @returns {Array<Object>} The line items with their key and section title, in document order.
+ */
+const getKeyedItems = (data) => {
+  const counts = new Map();
+
+  return data.sections.flatMap((section) => section.lineItems.map((lineItem) => {
+    const name = [section.title, lineItem.item].map((part) => String(part ?? "").trim().toLowerCase()).join("\u0000");
+    const count = counts.get(name) ?? 0;
+
+    counts.set(name, count + 1);
+    return { key: `${name}\u0000${count}`, section: section.title || "", lineItem };
+  }));
+};
+
+/**
+ * Gets the fields that changed between two versions of a line item.
+ *
+ * @param {Object} before - The line item in the old version.
+ * @param {Object} after - The line item in the new version.
+ * @returns {Array<string>} "price" and "qty" when they changed, "total" when only the line total
+ *   changed (such as its discount or tax), or an empty list.
+ */
+const getItemChanges = (before, after) => {
+  const changes = [
+    (before.price !== after.price || before.priceHigh !== after.priceHigh) && "price",
+    (before.qty !== after.qty || before.qtyHigh !== after.qtyHigh) && "qty",
+  ].filter(Boolean);
+
+  if (changes.length === 0 && (before.total !== after.total || before.totalHigh !== after.totalHigh)) {
+    changes.push("total");
+  }
+
+  return changes;
+};
+
+/**
+ * Subtracts two amounts exactly.
+ *
+ * @param {number} after - The new amount.
+ * @param {number} before - The old amount.
+ * @param {number} digits - The number of decimal places of the currency.
+ * @returns {number} The difference.
+ */
+const subtract = (after, before, digits) => toNumber(toMoney(after, digits) - toMoney(before, digits), digits);
+
+/**
+ * Formats a difference with its sign, such as "+£20.00" or "-£5.00".
+ *
+ * @param {number} low - The difference, or the low end of a range.
+ * @param {number} high - The high end of a range.
+ * @param {Object} currency - The currency options from getCurrencyOptions.
+ * @returns {string} The formatted difference.
+ */
+const formatDelta = (low, high, currency) => {
+  const sign = (value) => (value > 0 ? "+" : "");
+
+  return low === high
+    ? `${sign(low)}${formatPrice(low, currency)}`
+    : `${sign(low)}${formatPrice(low, currency)} – ${sign(high)}${formatPrice(high, currency)}`;
+};
+
+/**
+ * Compares the line items and totals of two versions of a document.
+ *
+ * Both versions are read, validated and calculated the same way as for rendering, so the
+ * comparison uses the final prices, quantities and totals.
+ *
+ * @param {Object} before - The replacement data of the old version, from getReplacementArgs.
+ * @param {Object} after - The replacement data of the new version, from getReplacementArgs.
+ * @throws {Error} If the versions use different currencies.
+ * @returns {Object} The compared line items (unchanged ones have no changes), the compared totals
+ *   and whether anything changed.
+ */
+export const diffDocuments = (before, after) => {
+  const { currency } = after;
+
+  // Check if the totals can be compared
+  if (before.currency.code !== currency.code) {
+    throw new Error(`Can't compare documents in different currencies (${before.currency.code} and ${currency.code}).`);
+  }
+
+  const oldItems = new Map(getKeyedItems(before).map((entry) => [entry.key, entry]));
+  const newItems = getKeyedItems(after);
+  const newKeys = new Set(newItems.map((entry) => entry.key));
+
+  // Compare the items of the new version with the old ones, then list the removed items
+  const items = [
+    ...newItems.map(({ key, section, lineItem }) => {
+      const previous = oldItems.get(key)?.lineItem;
+      const changes = previous ? getItemChanges(previous, lineItem) : ["added"];
+
+      return {
+        key, section, item: lineItem.item, changes, before: previous ?? null, after: lineItem,
+      };
+    }),
+    ...[...oldItems.values()]
+      .filter(({ key }) => !newKeys.has(key))
+      .map(({ key, section, lineItem }) => ({
+        key, section, item: lineItem.item, changes: ["removed"], before: lineItem, after: null,
+      })),
+  ].map((item) => ({ ...item, label: CHANGE_LABELS[item.changes.join(",")] ?? "" }));
+
+  // Compare the totals, leaving out the total with optional items when neither version has any
+  const totals = TOTAL_FIELDS
+    .filter(({ optional }) => !optional || before.totals.hasOptions || after.totals.hasOptions)
+    .map(({ key, label }) => {
+      const oldLow = before.totals[key];
+      const oldHigh = before.totals[`${key}High`] ?? oldLow;
+      const newLow = after.totals[key];
+      const newHigh = after.totals[`${key}High`] ?? newLow;
+      const delta = subtract(newLow, oldLow, currency.digits);
+      const deltaHigh = subtract(newHigh, oldHigh, currency.digits);
+
+      return {
+        label,
+        before: oldLow,
+        after: newLow,
+        delta,
+        deltaHigh,
+        beforeHtml: formatPriceRange(oldLow, oldHigh, currency),
+        afterHtml: formatPriceRange(newLow, newHigh, currency),
+        deltaHtml: formatDelta(delta, deltaHigh, currency),
+      };
+    });
+
+  return {
+    currency,
+    items,
+    totals,
+    hasChanges: items.some((item) => item.changes.length > 0) || totals.some((total) => total.delta !== 0 || total.deltaHigh !== 0),
+  };
+};
+
+/**
+ * Gets the revision numbers of a document and of the earlier version it is compared with.
+ *
+ * @param {number} revision - The revision number given on the command line, if any.
+ * @param {Object} frontMatter - The front matter of the new version.
+ * @param {Object} previousFrontMatter - The front matter of the old version.
+ * @returns {Object} The revision `number` (the option, the `revision` key, or one more than the
+ *   old version's revision) and the `previous` revision (the old version's `revision` key, or 1).
+ */
+export const getRevisionNumbers = (revision, frontMatter, previousFrontMatter) => {
+  const previous = Number(previousFrontMatter.revision ?? 1);
+
+  return { number: Number(revision ?? frontMatter.revision ?? previous + 1), previous };
+};
+
+/**
+ * Marks the changes since an earlier version in the replacement data of a document.
+ *
+ * Each changed line item gets a `change` type ("added" or "changed"), a `changeLabel` and its
+ * `previousPriceHtml` and `previousQtyHtml` when those changed. The `revision` field holds the
+ * revision number, the removed items, the previous total and the difference.
+ *
+ * @param {Object} data - The replacement data of the new version, from getReplacementArgs.
+ * @param {Object} diff - The comparison from diffDocuments.
+ * @param {Object} revisions - The revision numbers from getRevisionNumbers.
+ * @param {number} revisions.number - The revision number of the new version.
+ * @param {number} revisions.previous - The revision number of the old version.
+ * @returns {Object} The replacement data with the changes marked.
+ */
+export const markRevision = (data, diff, { number, previous }) => {
+  const changesByItem = new Map(diff.items.filter((item) => item.after).map((item) => [item.after, item]));
+
+  // Mark each changed line item of each section
+  const sections = data.sections.map((section) => ({
+    ...section,
+    lineItems: section.lineItems.map((lineItem) => {
+      const { changes = [], label = "", before } = changesByItem.get(lineItem) ?? {};
+
+      if (changes.length === 0) {
+        return lineItem;
+      }
+
+      return {
+        ...lineItem,
+        change: changes[0] === "added" ? "added" : "changed",
+        changeLabel: label,
+        previousPriceHtml: changes.includes("price") ? before.priceHtml : "",
+        previousQtyHtml: changes.includes("qty") ? before.qtyHtml : "",
+      };
+    }),
+  }));
+
+  const total = diff.totals.find((row) => row.label === "Total");
+
+  return {
+    ...data,
+    sections,
+    lineItems: sections.flatMap((section) => section.lineItems),
+    revision: {
+      number,
+      previous,
+      removed: diff.items
+        .filter((item) => item.changes[0] === "removed")
+        .map((item) => ({ item: item.item, section: item.section, totalHtml: item.before.totalHtml })),
+      previousTotalHtml: total.beforeHtml,
+      deltaHtml: total.deltaHtml,
+      hasChanges: diff.hasChanges,
+    },
+  };
+};
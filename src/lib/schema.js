@@ -0,0 +1,403 @@
+/**
+ * Import necessary Node.js modules and libraries
+ */
+import { CURRENCY_DISPLAYS, getCurrencyOptions } from "./utils.js";
+import { ROUNDING_MODES, ROUNDING_SCOPES } from "./money.js";
+import { DISCOUNT_TIMINGS, TAX_MODES, getTaxOptions } from "./tax.js";
+import { getAdjustments } from "./adjustment.js";
+import { DOCUMENT_STATUSES, DOCUMENT_TYPE_NAMES } from "./document.js";
+import getExchangeRates from "./exchange.js";
+import getBrand from "./brand.js";
+import { getDocumentTables } from "./input.js";
+import {
+  TABLE_COLUMNS, getDataRowErrors, getRateCard, validateAndFilterColumns,
+} from "./validation.js";
+
+/**
+ * Value types used by the front matter schema, each with a check and a description for errors.
+ */
+const VALUE_TYPES = {
+  text: {
+    check: (value) => typeof value === "string" || typeof value === "number",
+    description: "text",
+  },
+  percent: {
+    check: (value) => /^\d+(\.\d+)?\s*%?$/.test(String(value).trim()),
+    description: "a percentage such as 15%",
+  },
+  amount: {
+    check: (value) => /^\d+(\.\d+)?$/.test(String(value).trim()),
+    description: "an amount such as 30.00",
+  },
+  count: {
+    check: (value) => /^[1-9]\d*$/.test(String(value).trim()),
+    description: "a whole number such as 2",
+  },
+  date: {
+    // YAML rolls impossible dates such as 2023-02-30 over into the next month, so the written value is checked too
+    check: (value, raw = "") => {
+      if (!(value instanceof Date || typeof value === "string") || Number.isNaN(new Date(value).getTime())) {
+        return false;
+      }
+
+      const [isoDate] = /^\d{4}-\d{2}-\d{2}/.exec(raw.replace(/^["']/, "")) ?? [];
+      const time = new Date(`${isoDate}T00:00:00Z`);
+
+      return !isoDate || (!Number.isNaN(time.getTime()) && time.toISOString().startsWith(isoDate));
+    },
+    description: "a valid date such as 2023-10-28",
+  },
+  boolean: {
+    check: (value) => typeof value === "boolean",
+    description: "true or false",
+  },
+  list: {
+    check: (value) => Array.isArray(value),
+    description: "a list",
+  },
+  map: {
+    check: (value) => value !== null && typeof value === "object" && !Array.isArray(value),
+    description: "a map of names to values",
+  },
+  codes: {
+    check: (value) => typeof value === "string" || (Array.isArray(value) && value.every((code) => typeof code === "string")),
+    description: "a currency code or a list of currency codes",
+  },
+  fileOrMap: {
+    check: (value) => typeof value === "string" || (value !== null && typeof value === "object" && !Array.isArray(value)),
+    description: "a file path or an inline table",
+  },
+  locale: {
+    check: (value) => {
+      try {
+        return Intl.getCanonicalLocales(String(value)).length === 1;
+      } catch {
+        return false;
+      }
+    },
+    description: "a language tag such as en-US",
+  },
+  currency: {
+    check: (value) => {
+      try {
+        return Boolean(getCurrencyOptions({ currency: value }));
+      } catch {
+        return false;
+      }
+    },
+    description: "an ISO 4217 currency code such as USD",
+  },
+};
+
+/**
+ * Schema of all supported front matter keys.
+ *
+ * Each key has a value type, or a list of choices (compared in lowercase unless case sensitive).
+ * Recommended keys produce a warning when missing.
+ */
+const FRONT_MATTER_SCHEMA = {
+  profile: { type: "text" },
+  client: { type: "text" },
+  clientName: { type: "text", recommended: true },
+  clientCompany: { type: "text" },
+  clientLocation: { type: "text" },
+  clientEmail: { type: "text" },
+  devName: { type: "text", recommended: true },
+  devEmail: { type: "text" },
+  devSkype: { type: "text" },
+  devTwitter: { type: "text" },
+  devWebsite: { type: "text" },
+  devLocation: { type: "text" },
+  title: { type: "text", recommended: true },
+  date: { type: "date" },
+  description: { type: "text" },
+  notes: { type: "text" },
+  docType: { choices: DOCUMENT_TYPE_NAMES },
+  number: { type: "text" },
+  status: { choices: DOCUMENT_STATUSES },
+  revision: { type: "count" },
+  invoiceNumber: { type: "text" },
+  dueDate: { type: "date" },
+  paymentTerms: { type: "text" },
+  template: { type: "text" },
+  theme: { type: "text" },
+  brand: { type: "map" },
+  currency: { type: "currency" },
+  locale: { type: "locale" },
+  currencyDisplay: { choices: CURRENCY_DISPLAYS, caseSensitive: true },
+  displayCurrencies: { type: "codes" },
+  exchangeRates: { type: "fileOrMap" },
+  rounding: { choices: ROUNDING_MODES },
+  roundingScope: { choices: ROUNDING_SCOPES },
+  rates: { type: "map" },
+  serviceTax: { type: "percent" },
+  tax: { type: "percent" },
+  taxes: { type: "list" },
+  taxMode: { choices: TAX_MODES },
+  discountTiming: { choices: DISCOUNT_TIMINGS },
+  discount: { type: "amount" },
+  otherFee: { type: "percent" },
+  adjustments: { type: "list" },
+};
+
+/**
+ * Names of all supported front matter keys.
+ */
+export const FRONT_MATTER_KEYS = Object.keys(FRONT_MATTER_SCHEMA);
+
+/**
+ * Checks if a front matter value is missing. A key written without a value parses as null,
+ * and is treated the same as a key that isn't there.
+ *
+ * @param {*} value - The front matter value.
+ * @returns {boolean} True if the value is missing, null or empty, otherwise false.
+ */
+const isMissingValue = (value) => value === undefined || value === null || String(value).trim() === "";
+
+/**
+ * Calculates the edit distance between two strings, ignoring case.
+ *
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {number} The number of single-character edits needed to turn one string into the other.
+ */
+const getEditDistance = (a, b) => {
+  const source = a.toLowerCase();
+  const target = b.toLowerCase();
+
+  // Keep only the previous row of the distance matrix
+  let previous = Array.from({ length: target.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= source.length; i += 1) {
+    const current = [i];
+
+    for (let j = 1; j <= target.length; j += 1) {
+      const cost = source[i - 1] === target[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+
+    previous = current;
+  }
+
+  return previous[target.length];
+};
+
+/**
+ * Finds the closest supported name to a misspelled one.
+ *
+ * @param {string} name - The unknown name.
+ * @param {Array<string>} candidates - The supported names.
+ * @returns {string|null} The closest supported name, or null if none is close enough.
+ */
+const getClosestName = (name, candidates) => {
+  // Allow more edits for longer names
+  const maxDistance = Math.max(2, Math.floor(name.length / 3));
+
+  const [closest] = candidates
+    .map((candidate) => ({ candidate, distance: getEditDistance(name, candidate) }))
+    .filter(({ distance }) => distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance);
+
+  return closest ? closest.candidate : null;
+};
+
+/**
+ * Builds the message for an unknown name, with the closest supported name as a suggestion.
+ *
+ * @param {string} kind - What the name is, such as "front matter key".
+ * @param {string} name - The unknown name.
+ * @param {Array<string>} candidates - The supported names.
+ * @returns {string} The message.
+ */
+const getUnknownNameMessage = (kind, name, candidates) => {
+  const closest = getClosestName(name, candidates);
+
+  return `Unknown ${kind} '${name}'.${closest ? ` Did you mean '${closest}'?` : ""}`;
+};
+
+/**
+ * Runs a check that throws, turning a thrown error into a list of messages.
+ *
+ * @param {Function} check - The check to run.
+ * @returns {Array<string>} The error messages, or an empty array if the check passed.
+ */
+const collectErrors = (check) => {
+  try {
+    check();
+    return [];
+  } catch (error) {
+    return error.message.split("\n");
+  }
+};
+
+/**
+ * Validates the keys and the tables of a document against the schema.
+ *
+ * Every problem is reported in one run. Errors stop the document from being generated,
+ * while warnings (such as unknown keys and columns) only do so in strict mode.
+ *
+ * @param {Object} document - The normalized document from parseDocument.
+ * @param {Object} options - The validation options.
+ * @param {string} options.baseDir - The directory relative to which front matter file paths are resolved.
+ * @returns {Object} The errors and warnings, each with a one-based line number (or null), a message and,
+ *   for line items read from a CSV file or keys from a sender profile or client record, that file.
+ */
+export const validateDocument = (document, { baseDir = process.cwd() } = {}) => {
+  const { data, keyLines } = document;
+  const errors = [];
+  const warnings = [];
+  const invalidKeys = new Set();
+
+  // Helper functions to record a problem for a front matter key
+  const addError = (key, message) => {
+    invalidKeys.add(key);
+    errors.push({ file: keyLines[key]?.file ?? null, line: keyLines[key]?.line ?? null, message });
+  };
+  const addWarning = (key, message) => warnings.push({ file: keyLines[key]?.file ?? null, line: keyLines[key]?.line ?? null, message });
+
+  // Check every front matter key against the schema
+  Object.entries(data).forEach(([key, value]) => {
+    const schema = FRONT_MATTER_SCHEMA[key];
+
+    // Skip known keys without a value, which are checked as missing below
+    if (schema && isMissingValue(value)) {
+      return;
+    }
+
+    if (!schema) {
+      addWarning(key, getUnknownNameMessage("front matter key", key, FRONT_MATTER_KEYS));
+    } else if (schema.choices && !schema.choices.includes(schema.caseSensitive ? value : String(value).toLowerCase())) {
+      addError(key, `Invalid value '${value}' for '${key}'. Use one of: ${schema.choices.join(", ")}.`);
+    } else if (schema.type && !VALUE_TYPES[schema.type].check(value, keyLines[key]?.raw)) {
+      addError(key, `Invalid value for '${key}': expected ${VALUE_TYPES[schema.type].description}.`);
+    }
+  });
+
+  // Warn about recommended keys that are missing
+  Object.entries(FRONT_MATTER_SCHEMA)
+    .filter(([key, schema]) => schema.recommended && isMissingValue(data[key]))
+    .forEach(([key]) => addWarning(key, `Missing front matter key '${key}'.`));
+
+  // Check the nested values once their own types are valid
+  const isValid = (key) => !invalidKeys.has(key);
+
+  if (["taxes", "tax", "taxMode", "discountTiming"].every(isValid)) {
+    collectErrors(() => getTaxOptions(data)).forEach((message) => addError(data.taxes ? "taxes" : "tax", message));
+  }
+
+  if (["adjustments", "otherFee"].every(isValid)) {
+    collectErrors(() => getAdjustments(data)).forEach((message) => addError("adjustments", message));
+  }
+
+  let rates = {};
+  if (isValid("rates")) {
+    collectErrors(() => {
+      rates = getRateCard(data);
+    }).forEach((message) => addError("rates", message));
+  }
+
+  if (["currency", "locale", "currencyDisplay", "displayCurrencies", "exchangeRates"].every(isValid)) {
+    collectErrors(() => getExchangeRates(data, getCurrencyOptions(data), baseDir))
+      .forEach((message) => addError(data.exchangeRates ? "exchangeRates" : "displayCurrencies", message));
+  }
+
+  if (isValid("brand")) {
+    collectErrors(() => getBrand(data, baseDir)).forEach((message) => addError("brand", message));
+  }
+
+  // Check the tables, reporting each problem on the line of its table or row
+  let tables = [];
+  collectErrors(() => {
+    tables = getDocumentTables(document);
+  }).forEach((message) => errors.push({ line: null, message }));
+
+  tables.forEach((table) => {
+    const { file = null, header = null, lines = [] } = table;
+
+    // Helper function to get the line of a problem found in some rows: the header when every row
+    // has it, as in Markdown and CSV tables, and otherwise the first row that has it
+    const getProblemLine = (rowIndexes) => (rowIndexes.length === table.rows.length
+      ? header
+      : lines[rowIndexes[0]] ?? header);
+    const getRowLabel = (rowIndexes) => (rowIndexes.length === table.rows.length ? "" : `Row ${rowIndexes[0] + 1}: `);
+
+    // Warn about columns that are ignored, collected from every row since YAML and JSON rows can differ
+    const columns = [...new Set(table.rows.flatMap((row) => Object.keys(row)))];
+    columns
+      .filter((column) => !TABLE_COLUMNS.includes(column))
+      .forEach((column) => {
+        const rowIndexes = table.rows.flatMap((row, index) => (column in row ? [index] : []));
+
+        warnings.push({
+          file,
+          line: getProblemLine(rowIndexes),
+          message: `${getRowLabel(rowIndexes)}${getUnknownNameMessage("table column", column, TABLE_COLUMNS)}`,
+        });
+      });
+
+    // Check the required columns of every row, then the values of each row
+    const columnProblems = new Map();
+    table.rows.forEach((row, index) => {
+      collectErrors(() => validateAndFilterColumns([row])).forEach((message) => {
+        columnProblems.set(message, [...(columnProblems.get(message) ?? []), index]);
+      });
+    });
+
+    const columnErrors = [...columnProblems];
+    columnErrors.forEach(([message, rowIndexes]) => errors.push({
+      file,
+      line: getProblemLine(rowIndexes),
+      message: `${getRowLabel(rowIndexes)}${message}`,
+    }));
+
+    if (columnErrors.length === 0) {
+      getDataRowErrors(table.rows, rates).forEach(({ row, message }) => errors.push({
+        file,
+        line: lines[row] ?? null,
+        message: `Row ${row + 1}: ${message}`,
+      }));
+    }
+  });
+
+  // Sort the problems by line, keeping problems without a line last
+  const byLine = (a, b) => (a.line ?? Infinity) - (b.line ?? Infinity);
+
+  return { errors: errors.sort(byLine), warnings: warnings.sort(byLine) };
+};
+
+/**
+ * Formats a problem with its file and line reference.
+ *
+ * @param {Object} problem - The problem, with a line number (or null), a message and its own file, if any.
+ * @param {string} file - The path to the document, used when the problem has no file of its own.
+ * @returns {string} The problem, such as "estimate.md:12: Invalid Price".
+ */
+export const formatProblem = ({ file: problemFile, line, message }, file) => {
+  const reference = [problemFile ?? file, line].filter((part) => part != null).join(":");
+
+  return reference ? `${reference}: ${message}` : message;
+};
+
+/**
+ * Validates a document and throws one error listing every problem.
+ *
+ * @param {Object} document - The normalized document from parseDocument.
+ * @param {Object} options - The validation options.
+ * @param {string} options.file - The path to the document, used in the problem references.
+ * @param {string} options.baseDir - The directory relative to which front matter file paths are resolved.
+ * @param {boolean} options.strict - Turn warnings into errors (default: false).
+ * @throws {Error} If there are errors, or warnings in strict mode.
+ * @returns {Array<string>} The formatted warnings.
+ */
+export const checkDocument = (document, { file, baseDir, strict = false } = {}) => {
+  const { errors, warnings } = validateDocument(document, { baseDir });
+  const failures = strict ? [...errors, ...warnings] : errors;
+
+  // Report every problem in one error
+  if (failures.length > 0) {
+    const count = `${failures.length} problem${failures.length === 1 ? "" : "s"}`;
+    throw new Error(`Found ${count}:\n${failures.map((problem) => formatProblem(problem, file)).join("\n")}`);
+  }
+
+  return warnings.map((problem) => formatProblem(problem, file));
+};
@@ -0,0 +1,207 @@
+/**
+ * Import necessary Node.js modules and libraries
+ */
+import http from "http"; // Serves the preview page
+import { EventEmitter } from "events"; // Signals file changes from the watchers to the renderer
+import fs from "fs"; // File system module, used to watch for changes
+import path from "path"; // Import the 'path' module for working with file and directory paths.
+import buildHtml, { toRealSize } from "./template.js";
+import { resolvePath } from "./file.js";
+
+/**
+ * Script added to the preview page that reloads it when the server sends an update.
+ */
+const RELOAD_SCRIPT = "<script>new EventSource(\"/events\").onmessage = () => window.location.reload();</script>";
+
+/**
+ * Time to wait for more file changes before re-rendering, as editors often write a file several times.
+ */
+const DEBOUNCE_DELAY = 100;
+
+/**
+ * List of extensions of the data files a Markdown file can reference, such as rate cards and config files.
+ */
+const DATA_FILE_EXTENSIONS = [".json", ".yml", ".yaml", ".csv"];
+
+/**
+ * Checks if a file name is a data file, such as a rate card or a client directory.
+ *
+ * @param {string} fileName - The file name.
+ * @returns {boolean} True if the file has a data file extension, otherwise false.
+ */
+const isDataFile = (fileName) => DATA_FILE_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+
+/**
+ * Lists a directory and all of its subdirectories.
+ *
+ * @param {string} dir - The directory to list.
+ * @returns {Array<string>} The directory followed by every directory below it.
+ */
+const listDirectories = (dir) => [dir, ...fs.readdirSync(dir, { withFileTypes: true })
+  .filter((entry) => entry.isDirectory())
+  .flatMap((entry) => listDirectories(path.join(dir, entry.name)))];
+
+/**
+ * Escapes the HTML special characters of a text.
+ *
+ * @param {string} text - The text to escape.
+ * @returns {string} The text, safe to insert into HTML.
+ */
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Creates an overlay covering the preview with an error message.
+ *
+ * @param {string} message - The error message, such as the list of validation problems.
+ * @returns {string} The overlay HTML.
+ */
+const getErrorOverlay = (message) => `<div style="position:fixed;inset:0;z-index:9999;overflow:auto;margin:0;padding:32px;background:rgba(24,24,27,.94);color:#fca5a5;font:14px/1.6 ui-monospace,Menlo,Consolas,monospace;white-space:pre-wrap">${escapeHtml(message)}</div>`;
+
+/**
+ * Adds markup at the end of the page body.
+ *
+ * @param {string} html - The page HTML.
+ * @param {string} markup - The markup to add.
+ * @returns {string} The page HTML with the markup added.
+ */
+const appendToBody = (html, markup) => (html.includes("</body>")
+  ? html.replace("</body>", () => `${markup}</body>`)
+  : `${html}${markup}`);
+
+/**
+ * Starts a local HTTP server with a live preview of a Markdown file.
+ *
+ * The page shows the rendered HTML at its real size. The Markdown file's directory, the
+ * directories of its config and client files and the template directories are watched, and
+ * on every change the file is rendered again and open previews reload. When the file has
+ * problems, they are shown as an overlay on top of the last good render instead of stopping
+ * the server.
+ *
+ * @param {Object} options - The preview options.
+ * @param {string} options.markdown - The path to the Markdown file.
+ * @param {number} options.port - The port to listen on.
+ * @param {string} options.host - The host name to listen on.
+ * @param {Object} options.buildOptions - Command-line overrides passed to buildHtml.
+ * @param {Function} options.onRender - Called after each render with its error or schema warnings.
+ * @returns {Promise<Object>} The HTTP server, once it is listening.
+ */
+const startPreviewServer = ({
+  markdown, port, host, buildOptions = {}, onRender = () => {},
+}) => {
+  const clients = new Set();
+  const watchers = new Map();
+  const changes = new EventEmitter();
+  let lastHtml = null;
+  let page = "";
+  let timer = null;
+
+  // Keep a watcher until it fails, such as when its directory is deleted or renamed. The problem is
+  // reported like a render error, and the render that follows watches the directory again once it is back.
+  const addWatcher = (dir, watcher) => {
+    watcher.on("error", (error) => {
+      watcher.close();
+      watchers.delete(dir);
+      onRender({ error: new Error(`Stopped watching '${dir}': ${error.message}`) });
+      changes.emit("change");
+    });
+    watchers.set(dir, watcher);
+  };
+
+  // Watch a directory once for the changes that match a filter, ignoring paths that can't be watched
+  const watch = (dir, filter = () => true) => {
+    if (watchers.has(dir) || !fs.existsSync(dir)) {
+      return;
+    }
+
+    try {
+      addWatcher(dir, fs.watch(dir, (eventType, fileName) => {
+        if (!fileName || filter(fileName)) {
+          changes.emit("change");
+        }
+      }));
+    } catch (error) {
+      watchers.set(dir, null);
+    }
+  };
+
+  // Watch a directory and everything below it, such as a template with its partials and images
+  const watchTree = (dir) => {
+    if (watchers.has(dir) || !fs.existsSync(dir)) {
+      return;
+    }
+
+    try {
+      addWatcher(dir, fs.watch(dir, { recursive: true }, () => changes.emit("change")));
+    } catch (error) {
+      // Node 18 and older can't watch recursively on Linux, so watch each directory on its own
+      listDirectories(dir).forEach((subDir) => watch(subDir));
+    }
+  };
+
+  // Render the Markdown file into the preview page
+  const render = () => {
+    // Watch the Markdown file and the data files next to it, such as rate cards, and the bundled template.
+    // The directory is watched rather than the file, so editors that save by replacing the file still trigger.
+    watch(path.dirname(path.resolve(markdown)), (fileName) => fileName === path.basename(markdown) || isDataFile(fileName));
+    watchTree(resolvePath("../template"));
+
+    try {
+      const {
+        html, warnings, templateDir, configFiles,
+      } = buildHtml(markdown, buildOptions);
+
+      lastHtml = toRealSize(html);
+      page = appendToBody(lastHtml, RELOAD_SCRIPT);
+
+      // Watch the template in use, which may change with the front matter, and the config and client files
+      watchTree(templateDir);
+      configFiles.forEach((configFile) => watch(path.dirname(configFile), isDataFile));
+      onRender({ warnings });
+    } catch (error) {
+      const overlay = getErrorOverlay(error.message || error);
+
+      page = appendToBody(lastHtml ?? "<!DOCTYPE html><html><body></body></html>", `${overlay}${RELOAD_SCRIPT}`);
+      onRender({ error });
+    }
+  };
+
+  // Render again once the changes have settled, then reload the open previews
+  const scheduleRender = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      render();
+      clients.forEach((client) => client.write("data: reload\n\n"));
+    }, DEBOUNCE_DELAY);
+  };
+  changes.on("change", scheduleRender);
+
+  render();
+
+  const server = http.createServer((req, res) => {
+    // Keep the connection open to push reload events
+    if (req.url === "/events") {
+      res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+      res.write(": connected\n\n");
+      clients.add(res);
+      req.on("close", () => clients.delete(res));
+      return;
+    }
+
+    // Serve the preview page for any other path
+    res.writeHead(200, { "Content-Type": "text/html; charset=utf-8", "Cache-Control": "no-store" });
+    res.end(page);
+  });
+
+  // Stop watching when the server is closed
+  server.on("close", () => {
+    clearTimeout(timer);
+    watchers.forEach((watcher) => watcher?.close());
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => resolve(server));
+  });
+};
+
+export default startPreviewServer;
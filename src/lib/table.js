@@ -1,78 +1,136 @@
 /**
- * Generates the table body HTML from the given data.
+ * Generates the line items shown in the table body from the given data.
  *
- * @param {Array} data - The data for the table body.
- * @returns {string} The table body HTML.
+ * @param {Array} data - The calculated table rows.
+ * @returns {Array} The line items, each with its row number and formatted price and total.
  */
-export const generateTableBody = (data) => `<tbody>${data
-  .map(
-    (item, index) => `
-    <tr>
-      <td>${index + 1}</td>
-      <td class="text-start">${item.item}</td>
-      <td>${item.priceHtmlWithTax}</td>
-      <td>${item.qty}</td>
-      <td>${item.totalHtmlWithTax}</td>
-    </tr>`,
-  )
-  .join("")}</tbody>`;
+export const getLineItems = (data) => data.map((item, index) => ({
+  number: index + 1,
+  item: item.item,
+  role: item.role,
+  details: item.details,
+  qty: item.qty,
+  qtyHigh: item.qtyHigh,
+  qtyHtml: item.qtyHtml,
+  unit: item.unit,
+  isHourly: item.isHourly,
+  optional: item.optional,
+  price: item.priceWithTax,
+  priceHigh: item.priceWithTaxHigh,
+  total: item.lineTotal,
+  totalHigh: item.lineTotalHigh,
+  discount: item.discount,
+  discountIsPercentage: item.discountIsPercentage,
+  discountAmt: item.discountAmt,
+  discountAmtHigh: item.discountAmtHigh,
+  tax: item.tax,
+  taxAmt: item.taxAmt,
+  taxAmtHigh: item.taxAmtHigh,
+  priceHtml: item.priceHtmlWithTax,
+  totalHtml: item.lineTotalHtml,
+  discountHtml: item.discount > 0 ? item.discountHtml : "",
+  taxHtml: item.tax > 0 ? `${item.tax}%` : "",
+}));
 
 /**
- * Generates the table footer HTML from the given data.
+ * Generates the table sections, each with its heading, line items and subtotal.
  *
- * @param {object} data - The data for generating the table footer.
- * @returns {string} The table footer HTML.
+ * Line items are numbered continuously across sections. Section subtotals are only
+ * shown when there is more than one section.
+ *
+ * @param {Array} sections - The sections with their calculated table rows and subtotal.
+ * @returns {Array} The sections to render in the table body.
+ */
+export const getSections = (sections) => {
+  // Number the line items of each section after those of the previous sections
+  let offset = 0;
+
+  return sections.map((section) => {
+    const lineItems = getLineItems(section.rows).map((item) => ({ ...item, number: item.number + offset }));
+    offset += lineItems.length;
+
+    return {
+      title: section.title,
+      lineItems,
+      subtotal: section.subtotal,
+      subtotalHtml: section.subtotalHtml,
+      showSubtotal: sections.length > 1,
+    };
+  });
+};
+
+/**
+ * Determines which optional columns the table shows and the column spans of the footer.
+ *
+ * An optional column is only shown when at least one row uses it.
+ *
+ * @param {Array} data - The calculated table rows.
+ * @returns {Object} The visible optional columns, the total column count and the footer spans.
+ */
+export const getTableColumns = (data) => {
+  // Check which optional columns are used by at least one row
+  const unit = data.some((row) => row.unit !== "");
+  const discount = data.some((row) => row.discount > 0);
+  const tax = data.some((row) => row.tax > 0);
+
+  // Count the columns: #, item, price, qty and total, plus the visible optional columns
+  const count = 5 + [unit, discount, tax].filter(Boolean).length;
+
+  return {
+    unit,
+    discount,
+    tax,
+    count,
+    labelSpan: count - 2,
+    spacerSpan: count - 3,
+  };
+};
+
+/**
+ * Gets the footer label of a tax.
+ *
+ * @param {Object} tax - The calculated tax.
+ * @param {boolean} inclusive - Whether the prices already include the tax.
+ * @returns {string} The label, such as "GST (5%)" or "Includes PST (7%, compound)".
  */
-export const generateTableFoot = (data) => {
+const getTaxLabel = (tax, inclusive) => {
+  const rate = [`${tax.rate}%`, tax.compound ? "compound" : ""].filter(Boolean).join(", ");
+
+  return `${inclusive ? "Includes " : ""}${tax.name} (${rate})`;
+};
+
+/**
+ * Generates the labeled rows shown in the table footer above the total.
+ *
+ * @param {object} data - The calculated invoice totals.
+ * @returns {Array} The footer rows, each with a label and a formatted value.
+ */
+export const getTotalRows = (data) => {
   // Initialize an array to store the table footer rows
   const rows = [];
 
-  /**
-   * Generates a placeholder row in the table footer.
-   *
-   * @param {string} label - The label for the placeholder.
-   * @param {string} value - The value to display in the placeholder.
-   * @returns {string} The placeholder row HTML.
-   */
-  const placeholder = (label, value) => `
-    <tr>
-      <td></td>
-      <td colspan="3" class="text-end">${label}:</td>
-      <td>${value}</td>
-    </tr>
-  `;
-
   // If there is a subtotal, add a row for it
   if (data.subtotal > 0) {
-    rows.push(placeholder("Subtotal", data.subtotalHtml));
+    rows.push({ label: "Subtotal", value: data.subtotalHtml });
   }
 
-  // If there is tax, add a row for it
-  if (data.tax > 0) {
-    const taxLabel = `Tax (${data.tax}%)`;
-    rows.push(placeholder(taxLabel, data.taxAmtHtml));
-  }
+  // Discount row, shown before the taxes when it lowers the taxable amount
+  const discountRow = data.discount > 0 ? [{ label: "Discount", value: `-${data.discountHtml}` }] : [];
 
-  // If there is a discount, add a row for it
-  if (data.discount > 0) {
-    rows.push(placeholder("Discount", `-${data.discountHtml}`));
-  }
+  // One row for each tax with a rate
+  const taxRows = data.taxes
+    .filter((tax) => tax.rate > 0)
+    .map((tax) => ({ label: getTaxLabel(tax, data.taxInclusive), value: tax.amountHtml }));
 
-  // If there is another fee, add a row for it
-  if (data.otherFee > 0) {
-    const otherFeeLabel = `Additional Fees (Paypal, Conversion, etc) (${data.otherFee}%)`;
-    rows.push(placeholder(otherFeeLabel, data.otherFeeAmtHtml));
-  }
+  rows.push(...(data.discountBeforeTax ? [...discountRow, ...taxRows] : [...taxRows, ...discountRow]));
 
-  // Add a row for the total with a background and bold styling
-  rows.push(`
-    <tr class="fw-bold">
-      <td colspan="2"></td>
-      <td colspan="2" class="text-end bg-secondary text-success fs-5">Total:</td>
-      <td class="bg-secondary text-success fs-5">${data.totalHtml}</td>
-    </tr>
-  `);
+  // One row for each adjustment, in the order they are applied
+  data.adjustments.forEach((adjustment) => {
+    rows.push({
+      label: adjustment.type === "percent" ? `${adjustment.label} (${adjustment.value}%)` : adjustment.label,
+      value: adjustment.amountHtml,
+    });
+  });
 
-  // Return the footer HTML containing all the generated rows
-  return `<tfoot>${rows.join("")}</tfoot>`;
+  return rows;
 };
@@ -0,0 +1,133 @@
+import { cleanPrice } from "./utils.js";
+import {
+  percentOf, prorateMoney, roundMoney, sumMoney, toMoney,
+} from "./money.js";
+
+/**
+ * List of supported ways prices can be entered: without or with the document taxes included.
+ */
+export const TAX_MODES = ["exclusive", "inclusive"];
+
+/**
+ * List of supported points at which the document discount is applied.
+ */
+export const DISCOUNT_TIMINGS = ["after-tax", "before-tax"];
+
+/**
+ * Converts a tax rate, either a percentage (e.g. "5%") or a plain number, to a number.
+ *
+ * @param {string|number} rate - The tax rate.
+ * @returns {number} The tax rate without its percent sign.
+ */
+const cleanTaxRate = (rate) => cleanPrice(String(rate ?? "").replace("%", "").trim());
+
+/**
+ * Validates and normalizes one entry of the `taxes` list.
+ *
+ * @param {Object} tax - The tax entry from the front matter.
+ * @param {number} index - The position of the entry in the list.
+ * @throws {Error} If the name or rate is missing or invalid.
+ * @returns {Object} The tax name, rate and whether it is compound.
+ */
+const normalizeTax = (tax, index) => {
+  const name = String(tax?.name ?? "").trim();
+  const rate = cleanTaxRate(tax?.rate);
+
+  // Check if the tax has a name to label its row
+  if (name === "") {
+    throw new Error(`Tax ${index + 1}: Missing name.`);
+  }
+
+  // Check if the rate is a non-negative number
+  if (rate === null || Number.isNaN(rate) || rate < 0) {
+    throw new Error(`Tax '${name}': Invalid rate '${tax.rate}'.`);
+  }
+
+  return { name, rate, compound: Boolean(tax.compound) };
+};
+
+/**
+ * Gets the tax options from the front matter.
+ *
+ * Taxes are given as a `taxes` list of named rates. A single `tax` percentage is still
+ * accepted as one tax named "Tax".
+ *
+ * @param {Object} data - The front matter data.
+ * @throws {Error} If a tax, the tax mode or the discount timing is invalid.
+ * @returns {Object} The taxes, the tax mode and the discount timing.
+ */
+export const getTaxOptions = (data) => {
+  const mode = String(data.taxMode || "exclusive").toLowerCase();
+  const discountTiming = String(data.discountTiming || "after-tax").toLowerCase();
+
+  // Check if the tax mode is supported
+  if (!TAX_MODES.includes(mode)) {
+    throw new Error(`Invalid tax mode '${data.taxMode}'. Use one of: ${TAX_MODES.join(", ")}.`);
+  }
+
+  // Check if the discount timing is supported
+  if (!DISCOUNT_TIMINGS.includes(discountTiming)) {
+    throw new Error(`Invalid discount timing '${data.discountTiming}'. Use one of: ${DISCOUNT_TIMINGS.join(", ")}.`);
+  }
+
+  // Fall back to the single tax percentage when there is no list of taxes
+  const taxes = data.taxes ?? (data.tax ? [{ name: "Tax", rate: data.tax }] : []);
+
+  // Check if the taxes are a list
+  if (!Array.isArray(taxes)) {
+    throw new Error("Invalid taxes. Use a list of taxes, each with a name and a rate.");
+  }
+
+  return { taxes: taxes.map(normalizeTax), mode, discountTiming };
+};
+
+/**
+ * Calculates each tax on a net amount, in order.
+ *
+ * A compound tax is calculated on the net amount plus all the taxes before it.
+ *
+ * @param {bigint} net - The net amount in minor units.
+ * @param {Array} taxes - The taxes from getTaxOptions.
+ * @param {Function} round - Rounds each tax amount.
+ * @returns {Array<bigint>} The amount of each tax in minor units.
+ */
+const applyTaxes = (net, taxes, round) => {
+  let running = net;
+
+  return taxes.map((tax) => {
+    const amount = round(percentOf(tax.compound ? running : net, tax.rate));
+    running += amount;
+
+    return amount;
+  });
+};
+
+/**
+ * Calculates the taxes on a taxable amount.
+ *
+ * With the "exclusive" tax mode the amount is net and the taxes are added on top. With the
+ * "inclusive" mode the amount already includes the taxes: the net amount is worked out from
+ * the combined rate, and rounding differences are kept in the net amount so the taxes and
+ * the net amount add up exactly to the amount as entered.
+ *
+ * @param {bigint} amount - The taxable amount in minor units.
+ * @param {Object} options - The tax options from getTaxOptions.
+ * @param {Object} rounding - The rounding options from getRoundingOptions.
+ * @returns {Object} The net amount, the amount of each tax and the gross amount in minor units.
+ */
+export const calculateTaxes = (amount, options, rounding) => {
+  const round = (value) => roundMoney(value, rounding);
+
+  if (options.mode === "exclusive") {
+    const taxes = applyTaxes(amount, options.taxes, round);
+
+    return { net: amount, taxes, gross: amount + sumMoney(taxes) };
+  }
+
+  // Work out how much one unit of net amount costs with all taxes, to take them back out
+  const unit = toMoney(1, rounding.digits);
+  const grossUnit = unit + sumMoney(applyTaxes(unit, options.taxes, (value) => value));
+  const taxes = applyTaxes(prorateMoney(amount, unit, grossUnit), options.taxes, round);
+
+  return { net: amount - sumMoney(taxes), taxes, gross: amount };
+};
@@ -1,63 +1,225 @@
 /**
  * Import necessary Node.js modules and libraries
  */
-import { getReplacementArgs, replacePlaceholders } from "./replacement.js";
-import { fileExists, readFile, resolvePath } from "./file.js";
+import path from "path"; // Import the 'path' module for working with file and directory paths.
+import { getReplacementArgs, renderTemplate } from "./replacement.js";
+import { checkDocument } from "./schema.js";
+import { readDocument } from "./input.js";
+import { applyConfig } from "./config.js";
+import { getDocumentNumber, getDocumentType } from "./document.js";
+import { diffDocuments, getRevisionNumbers, markRevision } from "./revision.js";
+import {
+  STDIN_PATH, fileExists, findRemoteResources, inlineLocalAssets, listFiles, readFile, resolvePath,
+} from "./file.js";
+
+/**
+ * List of built-in themes shipped with the bundled template.
+ */
+export const THEMES = ["default", "minimal", "classic", "dark"];
+
+/**
+ * Regular expression matching the stylesheet link of a template's `index.css`.
+ */
+const STYLESHEET_LINK_REGEX = /<link rel="stylesheet" href="(?:\.?\/)?index\.css"\s*\/?>/;
+
+/**
+ * Gets the path to the CSS file of a built-in theme.
+ *
+ * @param {string} theme - The theme name.
+ * @throws {Error} If the theme is not a built-in theme.
+ * @returns {string|null} The path to the theme CSS file, or null for the default theme.
+ */
+const getThemeCssPath = (theme) => {
+  // Check if the theme is one of the built-in themes
+  if (!THEMES.includes(theme)) {
+    throw new Error(`Invalid theme '${theme}'. Use one of: ${THEMES.join(", ")}.`);
+  }
+
+  // The default theme has no overrides on top of the template CSS
+  return theme === "default" ? null : resolvePath("../template/themes", `${theme}.css`);
+};
+
+/**
+ * Reads the partial templates of a template directory.
+ *
+ * Every `partials/<name>.html` file is available in the template as `{{> name}}`.
+ *
+ * @param {string} templateDir - The template directory.
+ * @returns {Object} The partial templates, keyed by name.
+ */
+const getPartials = (templateDir) => Object.fromEntries(
+  listFiles(path.join(templateDir, "partials"), ".html").map((filePath) => [
+    path.basename(filePath, ".html"),
+    inlineLocalAssets(readFile(filePath), templateDir),
+  ]),
+);
 
 /**
  * Gets the HTML template for image generation.
  *
+ * @param {Object} options - The template options.
+ * @param {string} options.template - Path to a custom template directory (default: the bundled template).
+ * @param {string} options.theme - The built-in theme layered on top of the template CSS (default: "default").
  * @throws {Error} Throws an error if the HTML or CSS file is missing.
- * @returns {string} The HTML template as a string with embedded CSS.
+ * @returns {Object} The HTML template as a string with embedded CSS, its partial templates and its directory.
  */
-const getHtmlTemplate = () => {
+const getHtmlTemplate = ({ template, theme = "default" } = {}) => {
+  // Resolve the template directory, falling back to the bundled template
+  const templateDir = template ? path.resolve(template) : resolvePath("../template");
+
   // Resolve paths to HTML and CSS files
-  const htmlFilePath = resolvePath("../template/index.html");
-  const cssFilePath = resolvePath("../template/index.css");
+  const htmlFilePath = path.join(templateDir, "index.html");
+  const cssFilePath = path.join(templateDir, "index.css");
 
   // Check if the HTML template file exists
   if (!fileExists(htmlFilePath)) {
-    throw new Error("HTML template file is missing.");
+    throw new Error(template ? `Template directory '${template}' has no index.html file.` : "HTML template file is missing.");
   }
 
-  // Check if the CSS file exists
-  if (!fileExists(cssFilePath)) {
+  // Check if the CSS file exists, which is only optional for custom templates
+  if (!template && !fileExists(cssFilePath)) {
     throw new Error("CSS file is missing.");
   }
 
+  // Resolve the theme CSS before reading any file so invalid themes fail early
+  const themeCssPath = getThemeCssPath(theme);
+
   // Read the content of the HTML and CSS files
   const htmlContent = readFile(htmlFilePath);
-  const cssContent = readFile(cssFilePath);
+  const cssContent = [cssFilePath, themeCssPath]
+    .filter((filePath) => filePath && fileExists(filePath))
+    .map(readFile)
+    .join("");
+
+  // Inline the template's own images and fonts so they render without a base URL
+  const styles = `<style>${inlineLocalAssets(cssContent, templateDir)}</style>`;
+  const html = inlineLocalAssets(htmlContent, templateDir);
+
+  // Inject CSS content into the HTML template, replacing its stylesheet link if there is one
+  const htmlWithStyles = STYLESHEET_LINK_REGEX.test(html)
+    ? html.replace(STYLESHEET_LINK_REGEX, () => styles)
+    : html.replace("</head>", () => `${styles}</head>`);
 
-  // Inject CSS content into the HTML template
-  const htmlWithStyles = htmlContent.replace(
-    "<link rel=\"stylesheet\" href=\"/index.css\">",
-    `<style>${cssContent}</style>`,
-  );
+  return { html: htmlWithStyles, partials: getPartials(templateDir), templateDir };
+};
+
+/**
+ * Resolves the template options from the command-line options and the front matter.
+ *
+ * Command-line values win over front matter values. A front matter template path is
+ * resolved relative to the Markdown file.
+ *
+ * @param {string} markdown - The path to the Markdown file.
+ * @param {Object} frontMatter - The parsed front matter data.
+ * @param {Object} options - The command-line options.
+ * @returns {Object} The template directory and theme to use.
+ */
+const getTemplateOptions = (markdown, frontMatter, options) => {
+  // Resolve the front matter template path relative to the Markdown file
+  const frontMatterTemplate = frontMatter.template
+    ? path.resolve(path.dirname(markdown), frontMatter.template)
+    : undefined;
+
+  return {
+    template: options.template || frontMatterTemplate,
+    theme: options.theme || frontMatter.theme,
+  };
+};
+
+/**
+ * Reads a document, validates it and extracts its replacement data.
+ *
+ * @param {string} markdown - The path to the Markdown, YAML or JSON document, or "-" to read stdin.
+ * @param {Object} options - Command-line overrides passed to getReplacementArgs.
+ * @param {boolean} options.strict - Fail on schema warnings, such as unknown keys, as well as on errors.
+ * @param {string} options.inputFormat - The input format, detected from the file extension if not given.
+ * @param {string} options.profile - The sender profile, overriding the document's `profile` key.
+ * @param {Function} options.assignNumber - Assigns the document number from the ledger (optional).
+ * @param {Object} options.previous - The data and front matter of an earlier version, to render a revision (optional).
+ * @param {number} options.revision - The revision number, overriding the `revision` key (optional).
+ * @throws {Error} If the document can't be read or doesn't match the schema, listing every problem.
+ * @returns {Object} The replacement data, the merged document keys (the front matter), the schema
+ *   warnings, the config files used and the directory of the document.
+ */
+export const getDocumentData = (markdown, options = {}) => {
+  // Read the document into the normalized structure shared by every input format,
+  // filling in the keys of its sender profile and client record
+  const document = applyConfig(readDocument(markdown, { format: options.inputFormat }), { profile: options.profile });
+  const file = markdown === STDIN_PATH ? "stdin" : markdown;
+
+  // Validate the keys and tables against the schema, reporting every problem at once
+  const warnings = checkDocument(document, {
+    file,
+    baseDir: document.baseDir,
+    strict: options.strict,
+  });
+
+  // Number the document from the ledger, when generating
+  const documentType = getDocumentType(options.docType || document.data.docType);
+  const number = options.assignNumber?.({
+    markdown, number: getDocumentNumber(document.data, documentType), documentType, date: document.data.date,
+  });
+
+  // Extract content replacement data, resolving file paths relative to the document
+  const replacementArgs = getReplacementArgs(document, { ...options, number, baseDir: document.baseDir });
+
+  // Mark the changes since an earlier version of the document, for a revision
+  const { previous } = options;
+  const data = previous
+    ? markRevision(
+      replacementArgs,
+      diffDocuments(previous.data, replacementArgs),
+      getRevisionNumbers(options.revision, document.data, previous.frontMatter),
+    )
+    : replacementArgs;
 
-  return htmlWithStyles;
+  return {
+    data, frontMatter: document.data, warnings, configFiles: document.configFiles, baseDir: document.baseDir,
+  };
 };
 
 /**
  * Generates HTML content for image generation based on the provided Markdown file.
  *
  * @param {string} markdown - The path to the Markdown file.
- * @returns {string} The HTML content for image generation.
+ * @param {Object} options - Command-line overrides passed to getReplacementArgs and the template loader.
+ * @param {boolean} options.strict - Fail on schema warnings, such as unknown keys, as well as on errors.
+ * @param {boolean} options.offline - Fail if the document still loads a remote resource, such as a web font.
+ * @throws {Error} If the document doesn't match the schema, listing every problem, or loads a remote
+ *   resource in offline mode.
+ * @returns {Object} The HTML content for image generation, the replacement data used to build it,
+ *   the parsed front matter, the schema warnings, the template directory and the config files used.
  */
-const buildHtml = (markdown) => {
-  // Read the content of the Markdown file
-  const markdownText = readFile(markdown);
+const buildHtml = (markdown, options = {}) => {
+  // Read, validate and extract the replacement data from the Markdown file
+  const {
+    data, frontMatter, warnings, configFiles, baseDir,
+  } = getDocumentData(markdown, options);
 
   // Get the HTML template for image generation
-  const imageHtmlTemplate = getHtmlTemplate();
+  const { html, partials, templateDir } = getHtmlTemplate(getTemplateOptions(markdown, frontMatter, options));
 
-  // Extract content replacement data from the Markdown content
-  const replacementArgs = getReplacementArgs(markdownText);
+  // Render the HTML template with the replacement data, then inline the images the document
+  // itself points to, such as a logo next to the Markdown file
+  const finalHtmlContent = inlineLocalAssets(renderTemplate(html, data, partials), baseDir);
 
-  // Replace placeholders in the HTML template with replacementArgs
-  const finalHtmlContent = replacePlaceholders(imageHtmlTemplate, replacementArgs);
+  // Check that the document renders the same without network access
+  const remoteResources = options.offline ? findRemoteResources(finalHtmlContent) : [];
+  if (remoteResources.length > 0) {
+    throw new Error(`The document loads remote resources, which fail offline:\n${remoteResources.map((url) => `- ${url}`).join("\n")}\nSave them next to the document or template and use a relative path.`);
+  }
 
-  return finalHtmlContent;
+  return {
+    html: finalHtmlContent, data, frontMatter, warnings, templateDir, configFiles,
+  };
 };
 
+/**
+ * Removes the 4x scale used for sharp screenshots, so the HTML shows at its real size in a browser.
+ *
+ * @param {string} html - The HTML content from buildHtml.
+ * @returns {string} The HTML content at its real size.
+ */
+export const toRealSize = (html) => html.replace("transform:scale(4);", "transform:scale(1);");
+
 export default buildHtml;
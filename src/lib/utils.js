@@ -6,28 +6,14 @@ import latinize from "latinize"; // Library for converting accented characters t
 import slugify from "slugify"; // Library for converting strings into URL-friendly slugs
 
 /**
- * List of currency symbols and codes.
- */
-const CURRENCIES = [
-  { usd: "$" },
-  { aud: "$" },
-  { gbp: "£" },
-  { eur: "€" },
-  { inr: "₹" },
-  { brl: "R$" },
-  { cad: "$" },
-  { hkd: "$" },
-  { ils: "₪" },
-  { jpy: "¥" },
-  { mxn: "$" },
-  { twd: "NT$" },
-  { nzd: "$" },
-  { php: "P" },
-  { sgd: "$" },
-  { thb: "฿" },
-  { kes: "Ksh" },
-  { ngn: "₦" },
-];
+ * List of supported ways to show the currency in formatted prices.
+ */
+export const CURRENCY_DISPLAYS = ["symbol", "narrowSymbol", "code", "name"];
+
+/**
+ * Default locale used to format prices.
+ */
+const DEFAULT_LOCALE = "en-US";
 
 /**
  * Formats a date string using a specified format.
@@ -46,6 +32,24 @@ export const formatDate = (dateString, format = "MMM DD, YYYY") => date.format(n
  */
 export const currentDate = (format = "MMM DD, YYYY") => date.format(new Date(), format);
 
+/**
+ * Formats a date as YYYY-MM-DD.
+ *
+ * YAML dates are parsed as midnight UTC, so their UTC day is kept. Other values are returned as text.
+ *
+ * @param {Date|string} value - The date to format.
+ * @returns {string} The date as YYYY-MM-DD, or the value as text.
+ */
+export const toIsoDate = (value) => (value instanceof Date ? value.toISOString().slice(0, 10) : String(value ?? "").trim());
+
+/**
+ * Checks if a value is a map of keys to values.
+ *
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value is a plain object, otherwise false.
+ */
+export const isMap = (value) => value !== null && typeof value === "object" && !Array.isArray(value) && !(value instanceof Date);
+
 /**
  * Checks if a value is empty or falsy.
  *
@@ -70,6 +74,19 @@ export const cleanPrice = (price) => (isEmpty(price) ? null : parseFloat(price))
  */
 export const cleanNumber = (num) => (isEmpty(num) ? null : parseInt(num, 10));
 
+/**
+ * Splits a range value such as "100-150" or "2–3" into its low and high ends.
+ *
+ * @param {string|number} value - The value to split.
+ * @returns {Object} The low and high ends of the range, both set to the value itself if it isn't a range.
+ */
+export const parseRange = (value) => {
+  // Match two numbers separated by a hyphen or an en dash
+  const match = /^\s*(\d+(?:\.\d+)?)\s*[-–]\s*(\d+(?:\.\d+)?)\s*$/.exec(String(value));
+
+  return match ? { low: match[1], high: match[2] } : { low: value, high: value };
+};
+
 /**
  * Converts a string to a URL-friendly slug.
  *
@@ -103,111 +120,139 @@ export const slugifyObjectKeys = (obj) => {
 };
 
 /**
- * Converts newlines to HTML paragraphs.
+ * Splits a multi-line string into its non-empty lines.
  *
  * @param {string} inputString - The input string.
- * @returns {string} The input string converted to HTML paragraphs.
- */
-export const parseDescription = (inputString) => {
-  // Split the input string into lines, removing leading and trailing whitespace
-  const lines = inputString
-    .trim()
-    .split("\n")
-    .filter((line) => line.trim() !== "");
-
-  // If there are no lines left after filtering, return an empty string
-  if (lines.length === 0) {
-    return "";
-  }
-
-  // Convert each line into a paragraph wrapped in <p> tags and join them together
-  const paragraphs = lines.map((line) => `<p>${line}</p>`).join("");
+ * @returns {Array<string>} The trimmed, non-empty lines of the input string.
+ */
+export const parseLines = (inputString) => inputString
+  .trim()
+  .split("\n")
+  .map((line) => line.trim())
+  .filter((line) => line !== "");
 
-  // Wrap the paragraphs in a <div> with some margin to separate them
-  return `<div class="my-4">${paragraphs}</div>`;
-};
+/**
+ * Checks if a currency code is a known ISO 4217 code.
+ *
+ * @param {string} code - The uppercase currency code.
+ * @returns {boolean} True if the currency code is known, otherwise false.
+ */
+const isKnownCurrency = (code) => /^[A-Z]{3}$/.test(code)
+  && new Intl.DisplayNames(["en"], { type: "currency", fallback: "none" }).of(code) !== undefined;
 
 /**
- * Converts newlines to an HTML ordered list.
+ * Get the currency formatting options from the front matter.
  *
- * @param {string} inputString - The input string.
- * @returns {string} The input string converted to an HTML ordered list.
- */
-export const parseNotes = (inputString) => {
-  // Split the input string into lines, removing leading and trailing whitespace
-  const lines = inputString
-    .trim()
-    .split("\n")
-    .filter((line) => line.trim() !== "");
-
-  // If there are no lines left after filtering, return an empty string
-  if (lines.length === 0) {
-    return "";
+ * @param {Object} data - The front matter data.
+ * @param {string} data.currency - The ISO 4217 currency code (default: "usd").
+ * @param {string} data.locale - The BCP 47 locale used to format prices (default: "en-US").
+ * @param {string} data.currencyDisplay - How to show the currency, one of CURRENCY_DISPLAYS (default: "symbol").
+ * @throws {Error} If the currency code, locale or currency display is not supported.
+ * @returns {Object} The currency code, locale, display and number of decimal places of the minor unit.
+ */
+export const getCurrencyOptions = ({ currency = "usd", locale = DEFAULT_LOCALE, currencyDisplay = "symbol" } = {}) => {
+  // Convert the currency code to uppercase as expected by Intl
+  const code = String(currency).trim().toUpperCase();
+
+  // Check if the currency code is a known ISO 4217 code
+  if (!isKnownCurrency(code)) {
+    throw new Error(`Unknown currency code '${currency}'. Use an ISO 4217 code such as USD, EUR or GBP.`);
+  }
+
+  // Check if the locale is a valid language tag
+  let canonicalLocale;
+  try {
+    [canonicalLocale] = Intl.getCanonicalLocales(String(locale));
+  } catch {
+    throw new Error(`Invalid locale '${locale}'. Use a language tag such as en-US, de-DE or fr-CH.`);
+  }
+
+  // Check if the currency display is supported
+  if (!CURRENCY_DISPLAYS.includes(currencyDisplay)) {
+    throw new Error(`Invalid currency display '${currencyDisplay}'. Use one of: ${CURRENCY_DISPLAYS.join(", ")}.`);
   }
 
-  // Convert each line into a list item (<li>) and join them together
-  const orderedList = lines.map((line) => `<li>${line}</li>`).join("");
+  // Zero-decimal currencies such as JPY have no minor unit to print
+  const { maximumFractionDigits } = new Intl.NumberFormat(canonicalLocale, { style: "currency", currency: code })
+    .resolvedOptions();
 
-  // Wrap the ordered list in a <h6> heading with a class "fw-bold"
-  // and surround it with an ordered list (<ol>)
-  return `<h6 class="fw-bold">Notes:</h6><ol>${orderedList}</ol>`;
+  return {
+    code,
+    locale: canonicalLocale,
+    display: currencyDisplay,
+    digits: maximumFractionDigits,
+  };
 };
 
 /**
- * Get the currency symbol associated with a currency code.
+ * Format a price value with its currency for the given locale.
  *
- * @param {string} currencyCode - The currency code.
- * @returns {string} The currency symbol, or an empty string if not found.
+ * @param {number} value - The price value to format.
+ * @param {string|Object} currency - The currency code, or the options from getCurrencyOptions (default: "usd").
+ * @returns {string} The formatted price, such as "$1,234.50" or "1.234,50 €".
  */
-const getCurrencySymbol = (currencyCode) => {
-  // Convert the currency code to lowercase for case-insensitive lookup
-  const code = currencyCode.toLowerCase();
-
-  // Find the corresponding currency object in the CURRENCIES array
-  const currencyObj = CURRENCIES.find((curr) => curr[code]);
+export const formatPrice = (value, currency = "usd") => {
+  // Accept a bare currency code for callers that don't need a locale
+  const options = typeof currency === "string" ? getCurrencyOptions({ currency }) : currency;
 
-  // Return the currency symbol, or an empty string if not found
-  return currencyObj ? currencyObj[code] : "";
+  return new Intl.NumberFormat(options.locale, {
+    style: "currency",
+    currency: options.code,
+    currencyDisplay: options.display,
+  }).format(parseFloat(value));
 };
 
 /**
- * Format a price value with an optional currency symbol.
+ * Format a plain number, such as an exchange rate, for the given locale.
  *
- * @param {number} value - The price value to format.
- * @param {string} currency - The currency code (default: "usd").
- * @returns {string} The formatted price, including the currency symbol (if available).
+ * @param {number} value - The number to format.
+ * @param {string} locale - The locale used to format the number (default: "en-US").
+ * @param {number} maximumFractionDigits - The maximum number of decimal places to show (default: 6).
+ * @returns {string} The formatted number.
  */
-export const formatPrice = (value, currency = "usd") => [getCurrencySymbol(currency), parseFloat(value).toFixed(2)]
-  .filter(Boolean)
-  .join("");
+export const formatNumber = (value, locale = DEFAULT_LOCALE, maximumFractionDigits = 6) => new Intl.NumberFormat(
+  locale,
+  { maximumFractionDigits },
+).format(value);
 
 /**
- * Generate the output image filename based on the Date.now() and a provided image type.
+ * Format a low/high price range, or a single price when both ends are equal.
  *
- * @param {string} type - The image type, either 'jpeg' or 'png'. Defaults to 'jpeg'.
- * @returns {string} The generated output image filename.
+ * @param {number} low - The low end of the range.
+ * @param {number} high - The high end of the range.
+ * @param {string|Object} currency - The currency code, or the options from getCurrencyOptions (default: "usd").
+ * @returns {string} The formatted range, such as "£100.00 – £150.00".
  */
-export const getOutputImageName = (type = "jpeg") => {
-  // Generate a unique slug combining "Estimate" and the current date and time
-  const uniqueSlug = generateSlug(["Estimate Image", Date.now()].join(" "), false);
-
-  // Combine the unique slug with the specified image type to form the filename
-  return [uniqueSlug, type].join(".");
-};
+export const formatPriceRange = (low, high, currency = "usd") => (low === high
+  ? formatPrice(low, currency)
+  : `${formatPrice(low, currency)} – ${formatPrice(high, currency)}`);
 
 /**
- * Calculate the percentage of a value.
+ * Runs an async task on each item of a list, with at most a given number running at once.
  *
- * @param {number} value - The value to calculate the percentage of.
- * @param {number} percent - The percentage to calculate.
- * @returns {number} The result of the percentage calculation.
+ * @param {Array} items - The items to process.
+ * @param {number} limit - The maximum number of tasks running at the same time.
+ * @param {Function} task - Receives an item and its index, and returns a promise.
+ * @returns {Promise<Array>} The results of the tasks, in the order of the items.
  */
-export const calculatePercentage = (value, percent) => {
-  // Check if 'value' and 'percent' are valid numbers
-  if (Number.isNaN(value) || Number.isNaN(percent)) {
-    throw new Error("Both 'value' and 'percent' must be valid numbers.");
-  }
+export const mapWithConcurrency = async (items, limit, task) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  // Each worker takes the next item as soon as it has finished the previous one
+  const work = async () => {
+    if (next >= items.length) {
+      return;
+    }
+
+    const index = next;
+    next += 1;
+
+    results[index] = await task(items[index], index);
+    await work();
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, work));
 
-  // Calculate the percentage and return the result
-  return (value * percent) / 100;
+  return results;
 };
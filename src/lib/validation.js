@@ -1,6 +1,11 @@
 import {
-  calculatePercentage, cleanNumber, cleanPrice, formatPrice,
+  cleanPrice, formatNumber, formatPrice, formatPriceRange, parseRange,
 } from "./utils.js";
+import {
+  allocateMoney, convertMoney, getRoundingOptions, multiply, percentOf, roundMoney, sumMoney, toMoney, toNumber,
+} from "./money.js";
+import { calculateTaxes, getTaxOptions } from "./tax.js";
+import { calculateAdjustments, getAdjustments } from "./adjustment.js";
 
 /**
  * Checks if an amount is valid (not null, not NaN, and greater than 0).
@@ -11,33 +16,128 @@ import {
 const isValidAmount = (amount) => amount !== null && !Number.isNaN(cleanPrice(amount)) && amount > 0;
 
 /**
- * Validates a price value by checking if it can be parsed as a valid number.
+ * Validates a price value by checking if it can be parsed as a valid number or low-high range.
  *
  * @param {string|number} value - The price value to validate.
  * @returns {boolean} True if the value is a valid price, otherwise false.
  */
 const validatePrice = (value) => {
-  // Parse the value as a number
-  const parsedValue = cleanPrice(value);
+  // Parse both ends of the value as numbers
+  const { low, high } = parseRange(value);
+  const parsedLow = cleanPrice(low);
+  const parsedHigh = cleanPrice(high);
 
-  // Check if the parsed value is not NaN
-  return !Number.isNaN(parsedValue);
+  // Check if the parsed values are not NaN and the range isn't reversed
+  return !Number.isNaN(parsedLow) && !Number.isNaN(parsedHigh) && parsedLow <= parsedHigh;
 };
 
 /**
- * Validates a quantity value by checking if it can be parsed as a valid integer.
+ * Validates a quantity value by checking if it can be parsed as a valid decimal number or low-high range.
  *
- * @param {string|number} value - The quantity value to validate.
+ * @param {string|number} value - The quantity value to validate, such as 3 or 2.5.
  * @returns {boolean} True if the value is a valid quantity, otherwise false.
  */
 const validateQty = (value) => {
-  // Parse the value as a number
-  const parsedValue = cleanNumber(value);
+  // Parse both ends of the value as numbers
+  const { low, high } = parseRange(value);
+  const parsedLow = cleanPrice(low);
+  const parsedHigh = cleanPrice(high);
+
+  // Check if the parsed values are non-negative numbers and the range isn't reversed
+  return Number.isFinite(parsedLow) && Number.isFinite(parsedHigh) && parsedLow >= 0 && parsedLow <= parsedHigh;
+};
+
+/**
+ * Checks if a table cell is missing or empty.
+ *
+ * @param {string} value - The cell value.
+ * @returns {boolean} True if the cell is missing or only has whitespace, otherwise false.
+ */
+const isBlankCell = (value) => value === undefined || value === null || String(value).trim() === "";
+
+/**
+ * Gets the key used to look up a role in the rate card.
+ *
+ * @param {string} role - The role name from the table.
+ * @returns {string} The lowercase role name.
+ */
+const getRoleKey = (role) => String(role).trim().toLowerCase();
+
+/**
+ * Checks if a value in the "optional" column marks the row as optional.
+ *
+ * @param {string} value - The cell value.
+ * @returns {boolean} True for values such as "yes", "x" or "optional", otherwise false.
+ */
+const isOptionalValue = (value) => ["yes", "y", "true", "x", "1", "optional"].includes(String(value).trim().toLowerCase());
 
-  // Check if the parsed value is not NaN and is an integer
-  return !Number.isNaN(parsedValue) && Number.isInteger(parsedValue);
+/**
+ * Converts a per-line rate value, either a percentage (e.g. "10%") or a plain number, to a number.
+ *
+ * @param {string|number} value - The rate value to clean.
+ * @returns {number | null} The rate without its percent sign, or null if the value is empty.
+ */
+const cleanRate = (value) => cleanPrice(String(value).replace("%", "").trim());
+
+/**
+ * Validates a per-line rate value, either a percentage (e.g. "10%") or a plain number.
+ *
+ * @param {string|number} value - The rate value to validate.
+ * @returns {boolean} True if the value is empty or a valid non-negative number, otherwise false.
+ */
+const validateRate = (value) => {
+  // Parse the value as a number, ignoring a trailing percent sign
+  const parsedValue = cleanRate(value);
+
+  // Empty cells are allowed, otherwise the value must be a non-negative number
+  return parsedValue === null || (!Number.isNaN(parsedValue) && parsedValue >= 0);
 };
 
+/**
+ * Checks if a per-line rate value is given as a percentage.
+ *
+ * @param {string|number} value - The rate value to check.
+ * @returns {boolean} True if the value ends with a percent sign, otherwise false.
+ */
+const isPercentage = (value) => String(value).trim().endsWith("%");
+
+/**
+ * Gets the rate card from the front matter, mapping each role to its hourly rate.
+ *
+ * @param {Object} data - The front matter data.
+ * @throws {Error} If a rate isn't a positive number.
+ * @returns {Object} The hourly rates, keyed by lowercase role name.
+ */
+export const getRateCard = (data) => Object.fromEntries(Object.entries(data.rates || {}).map(([role, rate]) => {
+  // Check if the rate is a valid amount
+  if (!isValidAmount(rate)) {
+    throw new Error(`Invalid rate '${rate}' for role '${role}'.`);
+  }
+
+  return [getRoleKey(role), rate];
+}));
+
+/**
+ * Expected column names.
+ */
+const EXPECTED_COLUMNS = ["item"];
+
+/**
+ * Pairs of alternative columns: rows need a price and a quantity, given directly or as
+ * hours billed at a role's rate.
+ */
+const ALTERNATIVE_COLUMNS = [["price", "role"], ["qty", "hours"]];
+
+/**
+ * Optional column names, kept only when present in the table.
+ */
+const OPTIONAL_COLUMNS = ["price", "qty", "role", "hours", "unit", "discount", "tax", "details", "optional"];
+
+/**
+ * Names of all supported table columns.
+ */
+export const TABLE_COLUMNS = [...EXPECTED_COLUMNS, ...OPTIONAL_COLUMNS];
+
 /**
  * Validates data rows by checking for price and quantity columns and filters the columns to expected names.
  *
@@ -46,15 +146,12 @@ const validateQty = (value) => {
  * @returns {Array} The data with validated and filtered columns.
  */
 export const validateAndFilterColumns = (data) => {
-  // Expected column names
-  const expectedColumns = ["item", "price", "qty"];
-
   // Create an array to store the validated data
   const validatedData = data.map((row) => {
     const validatedRow = {};
 
     // Iterate over the expected columns
-    expectedColumns.forEach((column) => {
+    EXPECTED_COLUMNS.forEach((column) => {
       if (Object.prototype.hasOwnProperty.call(row, column)) {
         // If the column exists, add it to the validated row
         validatedRow[column] = row[column];
@@ -64,6 +161,20 @@ export const validateAndFilterColumns = (data) => {
       }
     });
 
+    // Check that at least one column of each alternative is present
+    ALTERNATIVE_COLUMNS.forEach(([column, alternative]) => {
+      if (!Object.prototype.hasOwnProperty.call(row, column) && !Object.prototype.hasOwnProperty.call(row, alternative)) {
+        throw new Error(`Missing expected column '${column}' (or '${alternative}')`);
+      }
+    });
+
+    // Iterate over the optional columns and keep the ones that exist
+    OPTIONAL_COLUMNS.forEach((column) => {
+      if (Object.prototype.hasOwnProperty.call(row, column)) {
+        validatedRow[column] = row[column];
+      }
+    });
+
     return validatedRow;
   });
 
@@ -71,82 +182,317 @@ export const validateAndFilterColumns = (data) => {
 };
 
 /**
- * Validates the data rows for price and quantity columns.
+ * Finds the problems in the data rows for price and quantity columns.
+ *
+ * A row without a price takes its price from the rate card for its role, and a row with
+ * hours uses them as its quantity.
  *
  * @param {Array} data - An array of data rows to be validated.
- * @throws {Error} Throws an error if validation errors are found.
+ * @param {Object} rates - The rate card from getRateCard (default: no rates).
+ * @returns {Array} The problems found, each with the zero-based row index and a message.
  */
-export const validateDataRows = (data) => {
-  // Create an array to store validation errors
-  const errors = data.flatMap((row, index) => {
-    const rowErrors = [];
+export const getDataRowErrors = (data, rates = {}) => data.flatMap((row, index) => {
+  const rowErrors = [];
 
-    // Check if the "price" column exists and is not valid
-    if (row.price !== undefined && !validatePrice(row.price)) {
-      rowErrors.push(`Object ${index + 1}: Invalid Price`);
+  if (!isBlankCell(row.price)) {
+    // Check if the "price" column is not valid
+    if (!validatePrice(row.price)) {
+      rowErrors.push("Invalid Price");
     }
+  } else if (isBlankCell(row.role)) {
+    // Without a price the row needs a role to look up its rate
+    rowErrors.push("Missing Price or Role");
+  } else if (!Object.prototype.hasOwnProperty.call(rates, getRoleKey(row.role))) {
+    // Check if the role has a rate in the rate card
+    rowErrors.push(`Unknown Role '${row.role}'`);
+  }
 
-    // Check if the "qty" column exists and is not valid
-    if (row.qty !== undefined && !validateQty(row.qty)) {
-      rowErrors.push(`Object ${index + 1}: Invalid Qty`);
+  if (!isBlankCell(row.hours)) {
+    // Check if the "hours" column is not valid
+    if (!validateQty(row.hours)) {
+      rowErrors.push("Invalid Hours");
     }
+  } else if (!validateQty(row.qty)) {
+    // Check if the "qty" column is missing or not valid
+    rowErrors.push("Invalid Qty");
+  }
 
-    return rowErrors; // An array of errors for the current row
-  });
+  // Check if the "discount" column exists and is not valid
+  if (row.discount !== undefined && !validateRate(row.discount)) {
+    rowErrors.push("Invalid Discount");
+  }
+
+  // Check if the "tax" column exists and is not valid
+  if (row.tax !== undefined && !validateRate(row.tax)) {
+    rowErrors.push("Invalid Tax");
+  }
+
+  return rowErrors.map((message) => ({ row: index, message }));
+});
+
+/**
+ * Validates the data rows for price and quantity columns.
+ *
+ * @param {Array} data - An array of data rows to be validated.
+ * @param {Object} rates - The rate card from getRateCard (default: no rates).
+ * @throws {Error} Throws an error if validation errors are found.
+ */
+export const validateDataRows = (data, rates = {}) => {
+  // Find the problems in all rows
+  const errors = getDataRowErrors(data, rates);
 
   // If there are errors, throw an error with all the error messages
   if (errors.length > 0) {
-    throw new Error(errors.join("\n"));
+    throw new Error(errors.map(({ row, message }) => `Row ${row + 1}: ${message}`).join("\n"));
   }
 };
 
 /**
  * Calculates unit totals and formats prices and totals with and without tax.
  *
+ * The per-line discount (a percentage or a fixed amount) is taken off the line total first,
+ * then the per-line tax rate is added on the discounted amount to give the line total.
+ * When the price or quantity is a low-high range, the numbers are calculated for the low end
+ * and repeated with a "High" suffix for the high end, and the formatted values show the range.
+ *
+ * Amounts are calculated in exact minor units. With the "line" rounding scope every line
+ * amount is rounded as it is calculated. With the "document" scope the line totals are kept
+ * exact, and then rounded so that they add up to the rounded sum of all lines.
+ *
  * @param {Array} data - The data to calculate unit totals for.
- * @param {string} currency - The currency symbol.
+ * @param {Object} currency - The currency options from getCurrencyOptions.
  * @param {number} serviceTax - The service tax rate.
+ * @param {Object} rounding - The rounding options from getRoundingOptions.
+ * @param {Object} rates - The rate card from getRateCard, used for rows with a role and no price.
  * @returns {Array} The data with calculated unit totals and formatted prices.
  */
-export const calculateUnitTotals = (data, currency, serviceTax = 1) => data.map((row) => {
-  // Extract the values from the row
-  const { price, qty } = row;
+export const calculateUnitTotals = (data, currency, serviceTax = 1, rounding = getRoundingOptions({}), rates = {}) => {
+  // Helper functions to round an amount as it is calculated, or for printing
+  const roundLine = (value) => (rounding.scope === "line" ? roundMoney(value, rounding) : value);
+  const toPrinted = (value) => toNumber(roundMoney(value, rounding), rounding.digits);
+
+  // Resolve the service tax rate shared by all rows
+  const taxRate = isValidAmount(serviceTax) ? cleanPrice(serviceTax) : 0;
+
+  // Calculate the exact amounts of each row
+  const rows = data.map((row) => {
+    // Extract the values from the row
+    const {
+      role = "", hours = "", unit = "", discount = "", tax = "", details = "", optional = "",
+    } = row;
+
+    // Rows billed by the hour take their quantity from the hours and their price from the rate card
+    const isHourly = !isBlankCell(hours);
+    const qty = isHourly ? hours : row.qty;
+    const price = isBlankCell(row.price) ? rates[getRoleKey(role)] : row.price;
+
+    // Resolve the per-line discount and per-line tax rates
+    const discountValue = isValidAmount(cleanRate(discount)) ? cleanRate(discount) : 0;
+    const discountIsPercentage = isPercentage(discount);
+    const lineTaxRate = isValidAmount(cleanRate(tax)) ? cleanRate(tax) : 0;
+
+    /**
+     * Calculates the line amounts for one end of the price and quantity ranges.
+     *
+     * @param {number} unitPrice - The unit price without tax.
+     * @param {number} quantity - The quantity.
+     * @returns {Object} The line amounts in minor units.
+     */
+    const calculateLine = (unitPrice, quantity) => {
+      // Calculate the unit total with tax
+      const priceWithoutTax = toMoney(unitPrice, rounding.digits);
+      const priceWithTax = roundLine(priceWithoutTax + percentOf(priceWithoutTax, taxRate));
+      const totalWithTax = roundLine(multiply(priceWithTax, quantity));
+
+      // Calculate the per-line discount, either as a percentage of the line or a fixed amount
+      const discountAmt = roundLine(discountIsPercentage
+        ? percentOf(totalWithTax, discountValue)
+        : toMoney(discountValue, rounding.digits));
+
+      // Calculate the per-line tax on the discounted amount
+      const lineTaxAmt = roundLine(percentOf(totalWithTax - discountAmt, lineTaxRate));
+
+      return {
+        qty: quantity,
+        price: priceWithoutTax,
+        total: roundLine(multiply(priceWithoutTax, quantity)),
+        priceWithTax,
+        totalWithTax,
+        discountAmt,
+        taxAmt: lineTaxAmt,
+        lineTotal: totalWithTax - discountAmt + lineTaxAmt,
+      };
+    };
+
+    // Calculate the line for the low and high ends of the price and quantity
+    const priceRange = parseRange(price);
+    const qtyRange = parseRange(qty);
+
+    return {
+      ...row,
+      role: String(role).trim(),
+      isHourly,
+      unit: unit || (isHourly ? "hours" : ""),
+      details,
+      optional: isOptionalValue(optional),
+      discount: discountValue,
+      discountIsPercentage,
+      tax: lineTaxRate,
+      amounts: {
+        low: calculateLine(cleanPrice(priceRange.low), cleanPrice(qtyRange.low)),
+        high: calculateLine(cleanPrice(priceRange.high), cleanPrice(qtyRange.high)),
+      },
+    };
+  });
+
+  // Helper function to set the rounded total of a line, deriving its printed parts from it. The
+  // rounding difference goes to the taxed amount, so the parts still add up to the line total.
+  const withLineTotal = (amounts, lineTotal) => {
+    const discountAmt = roundMoney(amounts.discountAmt, rounding);
+    const taxAmt = roundMoney(amounts.taxAmt, rounding);
+    const totalWithTax = lineTotal + discountAmt - taxAmt;
+
+    return {
+      ...amounts,
+      total: taxRate === 0 ? totalWithTax : amounts.total,
+      totalWithTax,
+      discountAmt,
+      taxAmt,
+      lineTotal,
+    };
+  };
+
+  // Helper function to round the line totals so they add up to the rounded sum, separately for
+  // the required and optional rows and for the low and high ends
+  const allocateLineTotals = () => {
+    const allocated = new Map(rows.map((row) => [row, {}]));
 
-  // Helper function to format an amount with the specified currency
+    [false, true].forEach((optional) => {
+      const group = rows.filter((row) => row.optional === optional);
+
+      ["low", "high"].forEach((end) => {
+        const exact = group.map((row) => row.amounts[end].lineTotal);
+
+        allocateMoney(exact, roundMoney(sumMoney(exact), rounding), rounding).forEach((lineTotal, index) => {
+          allocated.get(group[index])[end] = lineTotal;
+        });
+      });
+    });
+
+    return rows.map((row) => ({
+      ...row,
+      amounts: {
+        low: withLineTotal(row.amounts.low, allocated.get(row).low),
+        high: withLineTotal(row.amounts.high, allocated.get(row).high),
+      },
+    }));
+  };
+
+  // With the document rounding scope, the line totals are only rounded once all lines are known
+  const roundedRows = rounding.scope === "document" ? allocateLineTotals() : rows;
+
+  // Helper function to format an amount, or a range of amounts, with the specified currency
   const formatAmount = (amount) => formatPrice(amount, currency);
+  const formatRange = (low, high) => formatPriceRange(low, high, currency);
 
-  // Calculate the unit total without tax
-  const priceWithoutTax = cleanPrice(price);
-  const totalWithoutTax = qty * priceWithoutTax;
+  // Helper function to format a quantity, or a range of quantities, for the locale
+  const formatQty = (low, high) => (low === high
+    ? formatNumber(low, currency.locale)
+    : `${formatNumber(low, currency.locale)}–${formatNumber(high, currency.locale)}`);
 
-  // Calculate the unit total with tax
-  const taxRate = isValidAmount(serviceTax) ? cleanPrice(serviceTax) : 0;
-  const priceWithTax = priceWithoutTax + calculatePercentage(priceWithoutTax, taxRate);
-  const totalWithTax = qty * priceWithTax;
+  // Convert the amounts to printed numbers and format them
+  return roundedRows.map((row) => {
+    const { low, high } = row.amounts;
+    const printed = (key) => [toPrinted(low[key]), toPrinted(high[key])];
+
+    const [price, priceHigh] = printed("price");
+    const [total, totalHigh] = printed("total");
+    const [priceWithTax, priceWithTaxHigh] = printed("priceWithTax");
+    const [totalWithTax, totalWithTaxHigh] = printed("totalWithTax");
+    const [discountAmt, discountAmtHigh] = printed("discountAmt");
+    const [taxAmt, taxAmtHigh] = printed("taxAmt");
+    const [lineTotal, lineTotalHigh] = printed("lineTotal");
+
+    // Return the updated row
+    return {
+      ...row,
+      isRange: lineTotal !== lineTotalHigh,
+      discountAmt,
+      discountAmtHigh,
+      discountHtml: row.discountIsPercentage ? `${row.discount}%` : formatAmount(row.discount),
+      taxAmt,
+      taxAmtHigh,
+      lineTotal,
+      lineTotalHigh,
+      lineTotalHtml: formatRange(lineTotal, lineTotalHigh),
+      qty: low.qty,
+      qtyHigh: high.qty,
+      qtyHtml: formatQty(low.qty, high.qty),
+      price,
+      priceHigh,
+      total,
+      totalHigh,
+      priceHtml: formatRange(price, priceHigh),
+      totalHtml: formatRange(total, totalHigh),
+      priceWithTax,
+      priceWithTaxHigh,
+      totalWithTax,
+      totalWithTaxHigh,
+      priceHtmlWithTax: formatRange(priceWithTax, priceWithTaxHigh),
+      totalHtmlWithTax: formatRange(totalWithTax, totalWithTaxHigh),
+    };
+  });
+};
+
+/**
+ * Calculates the subtotals of each table section.
+ *
+ * Optional rows are left out of the section subtotal and added up separately.
+ *
+ * @param {Array} sections - The sections, each with its calculated table rows.
+ * @param {Object} currency - The currency options from getCurrencyOptions.
+ * @param {Object} rounding - The rounding options from getRoundingOptions.
+ * @returns {Array} The sections with their low/high subtotals and formatted subtotal.
+ */
+export const calculateSectionTotals = (sections, currency, rounding = getRoundingOptions({})) => sections.map((section) => {
+  // Helper function to add up the line totals of the required or the optional rows
+  const sum = (end, optional) => sumMoney(section.rows
+    .filter((row) => row.optional === optional)
+    .map((row) => row.amounts[end].lineTotal));
+
+  const amounts = {
+    subtotal: sum("low", false),
+    subtotalHigh: sum("high", false),
+    optionalSubtotal: sum("low", true),
+    optionalSubtotalHigh: sum("high", true),
+  };
 
-  // Format the values with and without tax
-  const priceHtml = formatAmount(price);
-  const totalHtml = formatAmount(totalWithoutTax);
-  const priceHtmlWithTax = formatAmount(priceWithTax);
-  const totalHtmlWithTax = formatAmount(totalWithTax);
+  // Convert the subtotals to numbers
+  const subtotal = toNumber(amounts.subtotal, rounding.digits);
+  const subtotalHigh = toNumber(amounts.subtotalHigh, rounding.digits);
 
-  // Return the updated row
   return {
-    ...row,
-    price: priceWithoutTax,
-    total: totalWithoutTax,
-    priceHtml,
-    totalHtml,
-    priceWithTax,
-    totalWithTax,
-    priceHtmlWithTax,
-    totalHtmlWithTax,
+    ...section,
+    amounts,
+    subtotal,
+    subtotalHigh,
+    optionalSubtotal: toNumber(amounts.optionalSubtotal, rounding.digits),
+    optionalSubtotalHigh: toNumber(amounts.optionalSubtotalHigh, rounding.digits),
+    subtotalHtml: formatPriceRange(subtotal, subtotalHigh, currency),
   };
 });
 
 /**
  * Calculates invoice totals based on the extracted data.
  *
+ * The totals are calculated for the required rows (the base total) and again with all
+ * optional rows included, each for the low and high ends of any ranges. Every printed
+ * amount is rounded first, so the printed rows always add up to the printed total.
+ *
+ * The document discount is taken off either before the taxes are calculated or from the
+ * taxed amount, depending on the discount timing of the tax options. The adjustments are
+ * then applied in order to the taxed amount.
+ *
  * @param {Object} data - The extracted invoice data.
  * @returns {Object} The calculated invoice totals.
  */
@@ -154,38 +500,109 @@ export const calculateInvoiceTotals = (data) => {
   // Helper function to calculate an amount, with a default value of 0 if not valid
   const calculateAmount = (value, defaultValue = 0) => (isValidAmount(value) ? cleanPrice(value) : defaultValue);
 
-  // Extract currency option
-  const { currency } = data;
+  // Extract currency, rounding and tax options
+  const {
+    currency, rounding = getRoundingOptions({}), taxOptions = getTaxOptions(data), adjustments = getAdjustments(data),
+  } = data;
+  const discountBeforeTax = taxOptions.discountTiming === "before-tax";
 
-  // Calculate tax, otherFee, and discount with defaults if not valid
-  const tax = calculateAmount(data?.tax);
-  const otherFee = calculateAmount(data?.otherFee);
+  // Calculate discount with a default if not valid
   const discount = calculateAmount(data?.discount);
+  const discountAmt = roundMoney(toMoney(discount, rounding.digits), rounding);
+
+  // Helper function to add up a subtotal across all sections
+  const sum = (key) => sumMoney(data?.sections.map((section) => section.amounts[key]));
 
-  // Calculate subtotal as the sum of 'totalWithTax' from each row
-  const subtotal = data?.tables.reduce((acc, row) => acc + row.totalWithTax, 0);
+  /**
+   * Calculates the tax amounts, adjustment amounts and total for a subtotal.
+   *
+   * @param {bigint} subtotal - The subtotal in minor units.
+   * @returns {Object} The subtotal, tax amounts, adjustment amounts and total as numbers, and the exact total.
+   */
+  const calculateTotals = (subtotal) => {
+    // A discount before tax lowers the taxable amount, otherwise it comes off the taxed amount
+    const taxable = discountBeforeTax ? subtotal - discountAmt : subtotal;
+    const { taxes, gross } = calculateTaxes(taxable, taxOptions, rounding);
+    const afterTax = gross - (discountBeforeTax ? 0n : discountAmt);
 
-  // Calculate tax amount, other fee amount, discount amount, and total
-  const taxAmt = calculatePercentage(subtotal, tax);
-  const otherFeeAmt = calculatePercentage(subtotal, otherFee);
-  const total = subtotal + taxAmt + otherFeeAmt - discount;
+    // Apply the adjustments in order on top of the taxed amount
+    const { amounts, total: totalAmt } = calculateAdjustments(adjustments, subtotal, afterTax, rounding);
 
-  // Helper function to format an amount with the specified currency
+    return {
+      subtotal: toNumber(subtotal, rounding.digits),
+      taxes: taxes.map((amount) => toNumber(amount, rounding.digits)),
+      taxAmt: toNumber(sumMoney(taxes), rounding.digits),
+      adjustments: amounts.map((amount) => toNumber(amount, rounding.digits)),
+      total: toNumber(totalAmt, rounding.digits),
+      totalAmt,
+    };
+  };
+
+  // Calculate the base totals and the totals with all optional rows, for the low and high ends
+  const low = calculateTotals(sum("subtotal"));
+  const high = calculateTotals(sum("subtotalHigh"));
+  const withOptions = calculateTotals(sum("subtotal") + sum("optionalSubtotal"));
+  const withOptionsHigh = calculateTotals(sum("subtotalHigh") + sum("optionalSubtotalHigh"));
+
+  // Helper function to format an amount, or a range of amounts, with the specified currency
   const formatAmount = (amount) => formatPrice(amount, currency);
+  const formatRange = (lowAmount, highAmount) => formatPriceRange(lowAmount, highAmount, currency);
+
+  // Convert the printed total to each display currency, rounded to that currency's minor unit
+  const conversions = (data?.conversions || []).map(({
+    currency: target, rate, date, isoDate,
+  }) => {
+    const convert = (amount) => toNumber(
+      roundMoney(convertMoney(amount, rate, rounding.digits, target.digits), { ...rounding, digits: target.digits }),
+      target.digits,
+    );
+    const total = convert(low.totalAmt);
+    const totalHigh = convert(high.totalAmt);
+
+    return {
+      code: target.code,
+      rate,
+      date,
+      isoDate,
+      total,
+      totalHigh,
+      rateHtml: `1 ${currency.code} = ${formatNumber(rate, currency.locale)} ${target.code}`,
+      totalHtml: formatPriceRange(total, totalHigh, target),
+    };
+  });
 
   // Return an object with calculated totals, each formatted with currency
   return {
-    subtotal,
-    tax,
-    taxAmt,
-    discount,
-    otherFee,
-    otherFeeAmt,
-    total,
-    subtotalHtml: formatAmount(subtotal),
-    taxAmtHtml: formatAmount(taxAmt),
-    otherFeeAmtHtml: formatAmount(otherFeeAmt),
-    discountHtml: formatAmount(discount),
-    totalHtml: formatAmount(Math.round(total)),
+    subtotal: low.subtotal,
+    subtotalHigh: high.subtotal,
+    taxes: taxOptions.taxes.map((tax, index) => ({
+      ...tax,
+      amount: low.taxes[index],
+      amountHigh: high.taxes[index],
+      amountHtml: formatRange(low.taxes[index], high.taxes[index]),
+    })),
+    taxInclusive: taxOptions.mode === "inclusive",
+    discountBeforeTax,
+    taxAmt: low.taxAmt,
+    taxAmtHigh: high.taxAmt,
+    discount: toNumber(discountAmt, rounding.digits),
+    adjustments: adjustments.map((adjustment, index) => ({
+      ...adjustment,
+      amount: low.adjustments[index],
+      amountHigh: high.adjustments[index],
+      amountHtml: formatRange(low.adjustments[index], high.adjustments[index]),
+    })),
+    total: low.total,
+    totalHigh: high.total,
+    totalWithOptions: withOptions.total,
+    totalWithOptionsHigh: withOptionsHigh.total,
+    isRange: low.total !== high.total,
+    hasOptions: data?.tables.some((row) => row.optional),
+    subtotalHtml: formatRange(low.subtotal, high.subtotal),
+    taxAmtHtml: formatRange(low.taxAmt, high.taxAmt),
+    discountHtml: formatAmount(toNumber(discountAmt, rounding.digits)),
+    totalHtml: formatRange(low.total, high.total),
+    totalWithOptionsHtml: formatRange(withOptions.total, withOptionsHigh.total),
+    conversions,
   };
 };
@@ -0,0 +1,46 @@
+/**
+ * Import necessary Node.js modules and libraries
+ */
+import { describe, it } from "node:test"; // Node.js built-in test runner
+import assert from "node:assert/strict"; // Strict assertions for the test cases
+import { parseDocument } from "../src/lib/input.js";
+
+describe("parseDocument", () => {
+  it("reads Markdown tables with their headings and lines, with or without pipes", () => {
+    const { tables } = parseDocument([
+      "---",
+      "title: Website",
+      "---",
+      "",
+      "<table><tr><td>Item</td></tr><tr><td>Raw HTML</td></tr></table>",
+      "",
+      "## Design",
+      "",
+      "| Item | Price | Qty |",
+      "| ---- | ----- | --- |",
+      "| **Logo** &amp; icons | 10.00 | 1 |",
+      "",
+      "## Build",
+      "",
+      "Item | Price | Qty",
+      "---- | ----- | ---",
+      "Pages | 20.00 | 3",
+      "Forms \\| search | 5.00 | 2",
+    ].join("\n"));
+
+    assert.deepEqual(tables, [
+      {
+        title: "Design",
+        rows: [{ item: "Logo & icons", price: "10.00", qty: "1" }],
+        header: 9,
+        lines: [11],
+      },
+      {
+        title: "Build",
+        rows: [{ item: "Pages", price: "20.00", qty: "3" }, { item: "Forms | search", price: "5.00", qty: "2" }],
+        header: 15,
+        lines: [17, 18],
+      },
+    ]);
+  });
+});
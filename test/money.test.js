@@ -0,0 +1,96 @@
+/**
+ * Import necessary Node.js modules and libraries
+ */
+import { describe, it } from "node:test"; // Node.js built-in test runner
+import assert from "node:assert/strict"; // Strict assertions for the test cases
+import {
+  allocateMoney, divideRound, roundMoney, sumMoney, toMoney,
+} from "../src/lib/money.js";
+
+/**
+ * Rounding options for two-digit currencies, keyed by rounding mode.
+ */
+const HALF_UP = { mode: "half-up", scope: "line", digits: 2 };
+const HALF_EVEN = { mode: "half-even", scope: "line", digits: 2 };
+const WHOLE = { mode: "whole", scope: "line", digits: 2 };
+
+describe("divideRound", () => {
+  it("rounds ties away from zero in half-up mode", () => {
+    assert.equal(divideRound(5n, 2n), 3n);
+    assert.equal(divideRound(-5n, 2n), -3n);
+    assert.equal(divideRound(5n, -2n), -3n);
+  });
+
+  it("rounds ties to the even neighbour in half-even mode", () => {
+    assert.equal(divideRound(5n, 2n, "half-even"), 2n);
+    assert.equal(divideRound(7n, 2n, "half-even"), 4n);
+    assert.equal(divideRound(-5n, 2n, "half-even"), -2n);
+    assert.equal(divideRound(-7n, 2n, "half-even"), -4n);
+  });
+
+  it("rounds to the nearest value when there is no tie", () => {
+    assert.equal(divideRound(7n, 3n, "half-even"), 2n);
+    assert.equal(divideRound(8n, 3n, "half-even"), 3n);
+    assert.equal(divideRound(-8n, 3n), -3n);
+    assert.equal(divideRound(6n, 3n), 2n);
+  });
+});
+
+describe("roundMoney", () => {
+  it("rounds half a minor unit with the rounding mode", () => {
+    assert.equal(roundMoney(toMoney("0.125"), HALF_UP), toMoney("0.13"));
+    assert.equal(roundMoney(toMoney("0.125"), HALF_EVEN), toMoney("0.12"));
+    assert.equal(roundMoney(toMoney("0.135"), HALF_EVEN), toMoney("0.14"));
+  });
+
+  it("rounds negative amounts symmetrically", () => {
+    assert.equal(roundMoney(toMoney("-0.125"), HALF_UP), toMoney("-0.13"));
+    assert.equal(roundMoney(toMoney("-0.125"), HALF_EVEN), toMoney("-0.12"));
+    assert.equal(roundMoney(toMoney("-0.124"), HALF_UP), toMoney("-0.12"));
+  });
+
+  it("rounds to whole units, breaking ties away from zero", () => {
+    assert.equal(roundMoney(toMoney("2.5"), WHOLE), toMoney(3));
+    assert.equal(roundMoney(toMoney("-2.5"), WHOLE), toMoney(-3));
+    assert.equal(roundMoney(toMoney("2.49"), WHOLE), toMoney(2));
+  });
+});
+
+describe("allocateMoney", () => {
+  // Thirds of one currency unit, which can't be split evenly into minor units
+  const thirds = (amount) => Array(3).fill(divideRound(toMoney(amount), 3n));
+
+  it("adds the residual to the first amount when rounding falls short", () => {
+    const allocated = allocateMoney(thirds(1), toMoney(1), HALF_UP);
+
+    assert.deepEqual(allocated, [toMoney("0.34"), toMoney("0.33"), toMoney("0.33")]);
+    assert.equal(sumMoney(allocated), toMoney(1));
+  });
+
+  it("takes the residual from the first amount when rounding overshoots", () => {
+    const allocated = allocateMoney([toMoney("0.675"), toMoney("0.675")], toMoney("1.35"), HALF_UP);
+
+    assert.deepEqual(allocated, [toMoney("0.67"), toMoney("0.68")]);
+  });
+
+  it("moves the amount that rounding changed the most", () => {
+    const values = [toMoney("0.101"), toMoney("0.104"), toMoney("0.795")];
+    const allocated = allocateMoney(values, toMoney("1.01"), HALF_UP);
+
+    assert.deepEqual(allocated, [toMoney("0.10"), toMoney("0.11"), toMoney("0.80")]);
+  });
+
+  it("allocates negative amounts to a negative total", () => {
+    const allocated = allocateMoney(thirds(-1), toMoney(-1), HALF_UP);
+
+    assert.deepEqual(allocated, [toMoney("-0.34"), toMoney("-0.33"), toMoney("-0.33")]);
+    assert.equal(sumMoney(allocated), toMoney(-1));
+  });
+
+  it("spreads residuals larger than the number of amounts", () => {
+    const allocated = allocateMoney(thirds("0.1"), toMoney("0.05"), HALF_EVEN);
+
+    assert.equal(sumMoney(allocated), toMoney("0.05"));
+    assert.deepEqual(allocated, [toMoney("0.01"), toMoney("0.02"), toMoney("0.02")]);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Import necessary Node.js modules and libraries
+ */
+import { describe, it } from "node:test"; // Node.js built-in test runner
+import assert from "node:assert/strict"; // Strict assertions for the test cases
+import { parseDocument } from "../src/lib/input.js";
+import { validateDocument } from "../src/lib/schema.js";
+
+/**
+ * Builds a Markdown document with the given front matter lines and a one-row table.
+ *
+ * @param {Array<string>} keys - The front matter lines.
+ * @returns {Object} The normalized document from parseDocument.
+ */
+const getDocument = (keys) => parseDocument([
+  "---",
+  ...keys,
+  "---",
+  "",
+  "| Item | Price | Qty |",
+  "| ---- | ----- | --- |",
+  "| Logo | 10.00 | 1   |",
+].join("\n"));
+
+describe("validateDocument", () => {
+  it("accepts optional keys written without a value", () => {
+    const { errors, warnings } = validateDocument(getDocument([
+      "clientName: John Doe",
+      "devName: John Smith",
+      "title: Website",
+      "devSkype:",
+      "currency:",
+      "date:",
+      "client:",
+      "taxes:",
+    ]));
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(warnings, []);
+  });
+
+  it("warns about recommended keys written without a value as missing", () => {
+    const { errors, warnings } = validateDocument(getDocument([
+      "clientName:",
+      "devName: John Smith",
+      "title: ''",
+    ]));
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(warnings, [
+      { file: null, line: 2, message: "Missing front matter key 'clientName'." },
+      { file: null, line: 4, message: "Missing front matter key 'title'." },
+    ]);
+  });
+
+  it("still rejects keys with a value of the wrong type", () => {
+    const { errors } = validateDocument(getDocument([
+      "clientName: John Doe",
+      "devName: John Smith",
+      "title: Website",
+      "devSkype: [a, b]",
+    ]));
+
+    assert.deepEqual(errors, [{ file: null, line: 5, message: "Invalid value for 'devSkype': expected text." }]);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Import necessary Node.js modules and libraries
+ */
+import { describe, it } from "node:test"; // Node.js built-in test runner
+import assert from "node:assert/strict"; // Strict assertions for the test cases
+import { getRoundingOptions, sumMoney, toMoney } from "../src/lib/money.js";
+import { calculateTaxes, getTaxOptions } from "../src/lib/tax.js";
+
+/**
+ * A federal tax and a provincial tax that is charged on top of the federal one.
+ */
+const COMPOUND_TAXES = [{ name: "GST", rate: "5%" }, { name: "QST", rate: "10%", compound: true }];
+
+/**
+ * Calculates the taxes on an amount with the given front matter tax settings.
+ *
+ * @param {string} amount - The taxable amount.
+ * @param {Object} data - The front matter tax settings.
+ * @returns {Object} The net amount, the amount of each tax and the gross amount in minor units.
+ */
+const getTaxes = (amount, data) => calculateTaxes(toMoney(amount), getTaxOptions(data), getRoundingOptions(data));
+
+describe("calculateTaxes", () => {
+  it("charges a compound tax on the net amount plus the taxes before it", () => {
+    const compound = getTaxes("100", { taxes: COMPOUND_TAXES });
+    const simple = getTaxes("100", { taxes: COMPOUND_TAXES.map(({ name, rate }) => ({ name, rate })) });
+
+    assert.deepEqual(compound.taxes, [toMoney("5.00"), toMoney("10.50")]);
+    assert.equal(compound.gross, toMoney("115.50"));
+    assert.equal(simple.gross, toMoney("115.00"));
+  });
+
+  it("takes compound taxes back out of an inclusive amount", () => {
+    const inclusive = getTaxes("115.50", { taxes: COMPOUND_TAXES, taxMode: "inclusive" });
+
+    assert.equal(inclusive.net, toMoney("100.00"));
+    assert.deepEqual(inclusive.taxes, [toMoney("5.00"), toMoney("10.50")]);
+    assert.equal(inclusive.gross, toMoney("115.50"));
+  });
+
+  it("gives the same total for an inclusive price as for its exclusive net price", () => {
+    const exclusive = getTaxes("100", { taxes: COMPOUND_TAXES });
+    const inclusive = getTaxes("115.50", { taxes: COMPOUND_TAXES, taxMode: "inclusive" });
+
+    assert.equal(inclusive.gross, exclusive.gross);
+    assert.deepEqual(inclusive.taxes, exclusive.taxes);
+  });
+
+  it("keeps inclusive rounding differences in the net amount", () => {
+    const inclusive = getTaxes("10", { tax: "20%", taxMode: "inclusive" });
+
+    assert.deepEqual(inclusive.taxes, [toMoney("1.67")]);
+    assert.equal(inclusive.net, toMoney("8.33"));
+    assert.equal(inclusive.net + sumMoney(inclusive.taxes), toMoney("10"));
+  });
+
+  it("rounds each tax with the document rounding mode", () => {
+    assert.deepEqual(getTaxes("2.50", { tax: "5%" }).taxes, [toMoney("0.13")]);
+    assert.deepEqual(getTaxes("2.50", { tax: "5%", rounding: "half-even" }).taxes, [toMoney("0.12")]);
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Import necessary Node.js modules and libraries
+ */
+import { describe, it } from "node:test"; // Node.js built-in test runner
+import assert from "node:assert/strict"; // Strict assertions for the test cases
+import { getCurrencyOptions } from "../src/lib/utils.js";
+import { getRoundingOptions } from "../src/lib/money.js";
+import { calculateInvoiceTotals, calculateSectionTotals, calculateUnitTotals } from "../src/lib/validation.js";
+
+/**
+ * Line items whose exact totals fall between cents, with a service tax, per-line discounts
+ * and per-line taxes, so every rounding step has something to round.
+ */
+const ROWS = [
+  { item: "Design", price: "10.333", qty: "3" },
+  {
+    item: "Build", price: "19.995", qty: "1.5", discount: "10%",
+  },
+  {
+    item: "Hosting", price: "0.125", qty: "7", tax: "7.5%",
+  },
+  {
+    item: "Support", price: "33.335", qty: "2", discount: "1.005",
+  },
+  {
+    item: "Extras", price: "4.445", qty: "3", optional: "yes",
+  },
+];
+
+/**
+ * Every combination of rounding mode and scope.
+ */
+const ROUNDINGS = ["half-up", "half-even", "whole"].flatMap((mode) => ["line", "document"].map((scope) => ({ mode, scope })));
+
+/**
+ * Converts a printed amount to whole cents, so sums compare exactly.
+ *
+ * @param {number} amount - The printed amount.
+ * @returns {number} The amount in cents.
+ */
+const toCents = (amount) => Math.round(amount * 100);
+
+/**
+ * Calculates the rows and the totals of the line items like a rendered document does.
+ *
+ * @param {Object} options - The rounding mode and scope.
+ * @returns {Object} The calculated rows and the invoice totals.
+ */
+const calculate = ({ mode, scope }) => {
+  const currency = getCurrencyOptions({ currency: "gbp" });
+  const rounding = getRoundingOptions({ rounding: mode, roundingScope: scope }, currency.digits);
+  const rows = calculateUnitTotals(ROWS, currency, "12.5", rounding);
+  const sections = calculateSectionTotals([{ title: "", rows }], currency, rounding);
+
+  return {
+    rows,
+    totals: calculateInvoiceTotals({
+      currency, rounding, tables: rows, sections,
+    }),
+  };
+};
+
+describe("calculateInvoiceTotals", () => {
+  ROUNDINGS.forEach((options) => {
+    describe(`with ${options.mode} rounding and ${options.scope} scope`, () => {
+      const { rows, totals } = calculate(options);
+      const required = rows.filter((row) => !row.optional);
+
+      it("adds up the printed line totals to the printed subtotal", () => {
+        const sum = (key) => required.reduce((acc, row) => acc + toCents(row[key]), 0);
+
+        assert.equal(sum("lineTotal"), toCents(totals.subtotal));
+        assert.equal(sum("lineTotalHigh"), toCents(totals.subtotalHigh));
+      });
+
+      it("adds up the optional line totals to the difference of the totals", () => {
+        const optional = rows.filter((row) => row.optional);
+        const sum = optional.reduce((acc, row) => acc + toCents(row.lineTotal), 0);
+
+        assert.equal(sum, toCents(totals.totalWithOptions) - toCents(totals.total));
+      });
+
+      it("prints each line total as its taxed amount less its discount plus its tax", () => {
+        rows.forEach((row) => {
+          assert.equal(toCents(row.lineTotal), toCents(row.totalWithTax) - toCents(row.discountAmt) + toCents(row.taxAmt), row.item);
+        });
+      });
+
+      if (options.mode === "whole") {
+        it("prints whole amounts", () => {
+          rows.forEach((row) => assert.equal(toCents(row.lineTotal) % 100, 0, row.item));
+          assert.equal(toCents(totals.total) % 100, 0);
+        });
+      }
+    });
+  });
+});